@@ -0,0 +1,153 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const { batchSize } = require("../common-utils/firestore-utils");
+const { addDays } = require("../common-utils/schedule-utils");
+
+// Recorded events, mapped to the counter they increment
+const analyticsCounters = {
+   "view": "views",
+   "search-appearance": "searchAppearances",
+   "featured-impression": "featuredImpressions",
+   "website-click": "websiteClicks",
+   "phone-click": "phoneClicks"
+};
+
+// Maximum number of days covered by an analytics report
+const maxReportDays = 366;
+
+/**
+ * Increments the daily counter of an event for a list of businesses. Failures are logged
+ * and never interrupt the request being served.
+ * @param {Array<string>} businessIds - The IDs of the businesses concerned by the event.
+ * @param {string} event - The recorded event, a key of the analytics counters.
+ * @returns {Promise<void>}
+ */
+const recordBusinessEvents = async (businessIds, event) => {
+   try {
+      const date = new Date().toISOString().slice(0, 10);
+      const counter = analyticsCounters[event];
+
+      for (let index = 0; index < businessIds.length; index += batchSize) {
+         const batch = firestore.batch();
+
+         businessIds.slice(index, index + batchSize).forEach((businessId) => {
+            batch.set(
+               firestore.collection("business-analytics").doc(`${businessId}_${date}`),
+               { businessId, date, [counter]: FieldValue.increment(1) },
+               { merge: true }
+            );
+         });
+
+         await batch.commit();
+      }
+   } catch (error) {
+      console.error("Business events (%s) could not be recorded: %s", event, error.message);
+   }
+};
+
+/**
+ * Records a click-through event on the website or phone number of a business.
+ * @param {Object} request - The incoming request object containing the business ID and event.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const recordBusinessClick = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const event = request.body.event;
+
+      if (joi.string().valid("website-click", "phone-click").required().validate(event).error) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      await recordBusinessEvents([businessId], event);
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the daily time series and totals of the analytics counters of a business.
+ * Only the owner of the business can access its analytics.
+ * @param {Object} request - The incoming request object containing the business ID and date range.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getBusinessAnalytics = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const today = new Date().toISOString().slice(0, 10);
+      const { from = addDays(today, -29), to = today } = request.query;
+      const dateSchema = joi.string().isoDate().regex(/^\d{4}-\d{2}-\d{2}$/).required();
+
+      if (dateSchema.validate(from).error || dateSchema.validate(to).error || from > to) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      if (addDays(from, maxReportDays) <= to) {
+         throw Error(`An analytics report cannot cover more than ${maxReportDays} days.`);
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      if (businessDoc.data().ownerId !== request.user.user_id) {
+         throw Error("Access to resources is denied for the user.");
+      }
+
+      const querySnapshot = await firestore
+         .collection("business-analytics")
+         .where("businessId", "==", businessId)
+         .where("date", ">=", from)
+         .where("date", "<=", to)
+         .get();
+
+      const dailyCounters = {};
+      querySnapshot.forEach((doc) => {
+         dailyCounters[doc.data().date] = doc.data();
+      });
+
+      const counters = Object.values(analyticsCounters);
+      const totals = Object.fromEntries(counters.map(counter => [counter, 0]));
+      const series = [];
+
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+         const day = { date };
+
+         counters.forEach((counter) => {
+            day[counter] = (dailyCounters[date] && dailyCounters[date][counter]) || 0;
+            totals[counter] += day[counter];
+         });
+
+         series.push(day);
+      }
+
+      response.status(200).json({ businessId, from, to, totals, series });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   recordBusinessEvents,
+   recordBusinessClick,
+   getBusinessAnalytics
+};
\ No newline at end of file
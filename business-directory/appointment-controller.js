@@ -0,0 +1,377 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const {
+   toMinutes,
+   getTimeSlots,
+   getLocalDateTime
+} = require("../common-utils/schedule-utils");
+
+/**
+ * Verifies whether an object is a valid appointment slot selection.
+ * @param {Object} slot - The object containing the requested date and time.
+ * @returns {boolean} Returns true if the provided object is a valid slot selection.
+ */
+const isSlotSelection = (slot) => {
+   const schema = joi.object({
+      date: joi.string().isoDate().regex(/^\d{4}-\d{2}-\d{2}$/).required(),
+      time: joi.string().regex(/^\d{2}:\d{2}$/).required()
+   });
+
+   return !schema.validate(slot).error;
+};
+
+/**
+ * Verifies whether an object is a valid appointment booking request.
+ * @param {Object} appointment - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid booking request.
+ */
+const isAppointment = (appointment) => {
+   const schema = joi.object({
+      businessId: joi.string().alphanum().length(20).required(),
+      date: joi.string().isoDate().regex(/^\d{4}-\d{2}-\d{2}$/).required(),
+      time: joi.string().regex(/^\d{2}:\d{2}$/).required(),
+      note: joi.string().allow(null, "").required()
+   });
+
+   return !schema.validate(appointment).error;
+};
+
+/**
+ * Builds the identifier of the document locking a time slot of a business.
+ * @param {string} businessId - The ID of the business.
+ * @param {string} date - The "YYYY-MM-DD" date of the slot.
+ * @param {string} time - The "HH:MM" start time of the slot.
+ * @returns {string} The slot lock document ID.
+ */
+const getSlotId = (businessId, date, time) => `${businessId}_${date}T${time}`;
+
+/**
+ * Checks whether a time slot has already started in the time zone of the business.
+ * @param {Object} businessData - The business document data.
+ * @param {string} date - The "YYYY-MM-DD" date of the slot.
+ * @param {string} time - The "HH:MM" start time of the slot.
+ * @returns {boolean} Returns true if the slot starts now or in the past.
+ */
+const isPastSlot = (businessData, date, time) => {
+   const now = getLocalDateTime(new Date(), businessData.timeZone);
+   return date < now.date || (date === now.date && toMinutes(time) <= now.minutes);
+};
+
+/**
+ * Ensures that a time slot can be booked for the given business.
+ * @param {Object} businessData - The business document data.
+ * @param {string} date - The "YYYY-MM-DD" date of the slot.
+ * @param {string} time - The "HH:MM" start time of the slot.
+ * @throws {Error} If the business does not accept appointments at that time.
+ */
+const assertBookableSlot = (businessData, date, time) => {
+   const settings = businessData.appointments;
+
+   if (!settings || !settings.isEnabled) {
+      throw Error("The business does not accept appointments.");
+   }
+
+   if (isPastSlot(businessData, date, time)) {
+      throw Error("Appointments cannot be booked in the past.");
+   }
+
+   if (!getTimeSlots(businessData, date, settings.slotDuration).includes(time)) {
+      throw Error("The requested time slot is not offered by the business.");
+   }
+};
+
+/**
+ * Retrieves the available appointment slots of a business for a given date.
+ * @param {Object} request - The incoming request object containing the business ID and date.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getAvailableSlots = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const date = request.query.date;
+
+      if (!isSlotSelection({ date, time: "00:00" })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      const settings = businessDoc.data().appointments;
+
+      if (!settings || !settings.isEnabled) {
+         throw Error("The business does not accept appointments.");
+      }
+
+      const slotsSnapshot = await firestore
+         .collection("appointment-slot")
+         .where("businessId", "==", businessId)
+         .where("date", "==", date)
+         .get();
+
+      const bookedTimes = slotsSnapshot.docs.map(doc => doc.data().time);
+      const slots = getTimeSlots(businessDoc.data(), date, settings.slotDuration)
+         .map(time => ({
+            time,
+            isAvailable: !bookedTimes.includes(time) && !isPastSlot(businessDoc.data(), date, time)
+         }));
+
+      response.status(200).json({ date, slotDuration: settings.slotDuration, slots });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Books an appointment slot of a business for the authenticated user.
+ * @param {Object} request - The incoming request object containing the booking details.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const bookAppointment = async (request, response) => {
+   try {
+      const newAppointment = request.body;
+
+      if (!isAppointment(newAppointment)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { businessId, date, time, note } = newAppointment;
+      const customerId = request.user.user_id;
+      const appointmentRef = firestore.collection("appointment").doc();
+      const slotRef = firestore.collection("appointment-slot").doc(getSlotId(businessId, date, time));
+
+      await firestore.runTransaction(async (transaction) => {
+         const businessDoc = await transaction.get(firestore.collection("business").doc(businessId));
+
+         if (!businessDoc.exists) {
+            throw Error(`Business with ID ${businessId} not found.`);
+         }
+
+         const businessData = businessDoc.data();
+         assertBookableSlot(businessData, date, time);
+
+         const slotDoc = await transaction.get(slotRef);
+
+         if (slotDoc.exists) {
+            throw Error("The requested time slot is no longer available.");
+         }
+
+         transaction.set(slotRef, {
+            appointmentId: appointmentRef.id,
+            businessId,
+            date,
+            time
+         });
+
+         transaction.set(appointmentRef, {
+            businessId,
+            ownerId: businessData.ownerId,
+            customerId,
+            date,
+            time,
+            duration: businessData.appointments.slotDuration,
+            note,
+            status: "booked",
+            timestamp: Math.floor(new Date() / 1000)
+         });
+      });
+
+      response.status(200).json({ appointmentId: appointmentRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Moves a booked appointment to another slot of the same business.
+ * Only the customer who booked the appointment can reschedule it.
+ * @param {Object} request - The incoming request object containing the appointment ID and new slot.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const rescheduleAppointment = async (request, response) => {
+   try {
+      const appointmentId = request.params.appointmentId;
+
+      if (!isCollectionId(appointmentId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const newSlot = request.body;
+
+      if (!isSlotSelection(newSlot)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { date, time } = newSlot;
+      const appointmentRef = firestore.collection("appointment").doc(appointmentId);
+
+      await firestore.runTransaction(async (transaction) => {
+         const appointmentDoc = await transaction.get(appointmentRef);
+
+         if (!appointmentDoc.exists) {
+            throw Error(`Appointment with ID ${appointmentId} not found.`);
+         }
+
+         const appointment = appointmentDoc.data();
+
+         if (appointment.customerId !== request.user.user_id) {
+            throw Error("Access to resources is denied for the user.");
+         }
+
+         if (appointment.status !== "booked") {
+            throw Error("Only booked appointments can be rescheduled.");
+         }
+
+         const businessDoc = await transaction.get(
+            firestore.collection("business").doc(appointment.businessId)
+         );
+
+         if (!businessDoc.exists) {
+            throw Error(`Business with ID ${appointment.businessId} not found.`);
+         }
+
+         assertBookableSlot(businessDoc.data(), date, time);
+
+         const oldSlotRef = firestore
+            .collection("appointment-slot")
+            .doc(getSlotId(appointment.businessId, appointment.date, appointment.time));
+         const newSlotRef = firestore
+            .collection("appointment-slot")
+            .doc(getSlotId(appointment.businessId, date, time));
+
+         const newSlotDoc = await transaction.get(newSlotRef);
+
+         if (newSlotDoc.exists) {
+            throw Error("The requested time slot is no longer available.");
+         }
+
+         transaction.delete(oldSlotRef);
+         transaction.set(newSlotRef, {
+            appointmentId,
+            businessId: appointment.businessId,
+            date,
+            time
+         });
+         transaction.update(appointmentRef, { date, time });
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Cancels a booked appointment and releases its slot.
+ * Both the customer and the business owner can cancel an appointment.
+ * @param {Object} request - The incoming request object containing the appointment ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const cancelAppointment = async (request, response) => {
+   try {
+      const appointmentId = request.params.appointmentId;
+
+      if (!isCollectionId(appointmentId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const appointmentRef = firestore.collection("appointment").doc(appointmentId);
+
+      await firestore.runTransaction(async (transaction) => {
+         const appointmentDoc = await transaction.get(appointmentRef);
+
+         if (!appointmentDoc.exists) {
+            throw Error(`Appointment with ID ${appointmentId} not found.`);
+         }
+
+         const appointment = appointmentDoc.data();
+
+         if (appointment.customerId !== userId && appointment.ownerId !== userId) {
+            throw Error("Access to resources is denied for the user.");
+         }
+
+         if (appointment.status !== "booked") {
+            throw Error("Only booked appointments can be cancelled.");
+         }
+
+         transaction.delete(
+            firestore
+               .collection("appointment-slot")
+               .doc(getSlotId(appointment.businessId, appointment.date, appointment.time))
+         );
+         transaction.update(appointmentRef, { status: "cancelled", cancelledBy: userId });
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the appointments whose given field matches the authenticated user.
+ * @param {string} field - The appointment field holding the user ID ("customerId" or "ownerId").
+ * @returns {Function} The request handler.
+ */
+const getUserAppointments = (field) => async (request, response) => {
+   try {
+      const querySnapshot = await firestore
+         .collection("appointment")
+         .where(field, "==", request.user.user_id)
+         .get();
+
+      const appointments = [];
+      querySnapshot.forEach((doc) => {
+         appointments.push({
+            appointmentId: doc.id,
+            appointment: doc.data()
+         });
+      });
+
+      appointments.sort((a, b) => {
+         const first = `${a.appointment.date}T${a.appointment.time}`;
+         const second = `${b.appointment.date}T${b.appointment.time}`;
+         return first.localeCompare(second);
+      });
+
+      response.status(200).json(appointments);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the appointments booked by the authenticated user.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getCustomerAppointments = getUserAppointments("customerId");
+
+/**
+ * Retrieves the appointments booked at the businesses owned by the authenticated user.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getOwnerAppointments = getUserAppointments("ownerId");
+
+// Export controller functions
+module.exports = {
+   getAvailableSlots,
+   bookAppointment,
+   rescheduleAppointment,
+   cancelAppointment,
+   getCustomerAppointments,
+   getOwnerAppointments
+};
\ No newline at end of file
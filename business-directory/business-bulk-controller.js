@@ -0,0 +1,253 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const {
+   parseCsv,
+   toCsv
+} = require("../common-utils/csv-utils");
+const { indexBusiness } = require("../common-utils/search-utils");
+const { updateTagUsage } = require("../common-utils/tag-utils");
+const { updateWithVersion } = require("../common-utils/version-utils");
+const { assignSlug } = require("../common-utils/slug-utils");
+const {
+   getBusinessError,
+   withGeohash
+} = require("./business-controller");
+
+// Columns of an imported or exported business listing, in file order
+const businessColumns = [
+   'externalId', 'name', 'description', 'tags', 'phoneNumber', 'phoneNumberSecondary', 'email',
+   'website', 'address', 'city', 'timeTable', 'exceptions', 'timeZone', 'appointments',
+   'featuredImageURL', 'location', 'ownerId'
+];
+
+// Columns holding structured values, written as JSON in CSV files
+const jsonColumns = ['tags', 'timeTable', 'exceptions', 'appointments', 'location'];
+
+// Maximum number of rows accepted by a single import
+const maxImportRows = 1000;
+
+/**
+ * Converts a CSV record into a business object, decoding its JSON columns.
+ * Empty cells are read as null.
+ * @param {Object} record - The CSV record, keyed by column name.
+ * @returns {Object} The business object with its external key.
+ * @throws {Error} If a JSON column holds malformed JSON.
+ */
+const fromCsvRecord = (record) => {
+   return Object.fromEntries(Object.entries(record).map(([column, cell]) => {
+      if (cell === '') {
+         return [column, null];
+      }
+
+      if (!jsonColumns.includes(column)) {
+         return [column, cell];
+      }
+
+      try {
+         return [column, JSON.parse(cell)];
+      } catch (error) {
+         throw Error(`The "${column}" column does not contain valid JSON.`);
+      }
+   }));
+};
+
+/**
+ * Converts a stored business into an exportable row, dropping server-managed fields.
+ * @param {string} businessId - The ID of the business.
+ * @param {Object} business - The business document data.
+ * @returns {Object} The exportable row.
+ */
+const toExportRow = (businessId, business) => {
+   const row = { businessId };
+
+   businessColumns.forEach((column) => {
+      row[column] = business[column] === undefined ? null : business[column];
+   });
+
+   if (row.location) {
+      row.location = { latitude: row.location.latitude, longitude: row.location.longitude };
+   }
+
+   return row;
+};
+
+/**
+ * Imports business listings from a CSV or JSON document. Every row is validated with the
+ * Business schema and rows carrying an "externalId" already imported update that business.
+ * In dry-run mode the report is computed but nothing is written.
+ * @param {Object} request - The incoming request object containing the document and import options.
+ * @param {Object} response - The response object used to send the per-row report back to the client.
+ */
+const importBusinesses = async (request, response) => {
+   try {
+      const { format = "json", dryRun } = request.query;
+
+      if (joi.string().valid("csv", "json").validate(format).error
+         || joi.boolean().validate(dryRun).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let records;
+
+      if (format === "csv") {
+         if (typeof request.body !== "string") {
+            throw Error("The request body provided is not valid or acceptable.");
+         }
+
+         records = parseCsv(request.body);
+      } else {
+         if (!Array.isArray(request.body)) {
+            throw Error("The request body provided is not valid or acceptable.");
+         }
+
+         records = request.body;
+      }
+
+      if (records.length > maxImportRows) {
+         throw Error(`An import cannot contain more than ${maxImportRows} rows.`);
+      }
+
+      const isDryRun = dryRun === "true";
+      const seenKeys = new Set();
+      const report = { dryRun: isDryRun, created: 0, updated: 0, failed: 0, rows: [] };
+
+      for (let index = 0; index < records.length; index++) {
+         const rowReport = { row: index + 1 };
+         report.rows.push(rowReport);
+
+         try {
+            const record = format === "csv" ? fromCsvRecord(records[index]) : { ...records[index] };
+            const { externalId = null, businessId, ...business } = record;
+
+            if (externalId !== null && joi.string().max(200).validate(externalId).error) {
+               throw Error('"externalId" must be a string');
+            }
+
+            if (externalId !== null && seenKeys.has(externalId)) {
+               throw Error(`The external key "${externalId}" appears more than once in the import.`);
+            }
+
+            seenKeys.add(externalId);
+
+            const error = getBusinessError(business);
+
+            if (error) {
+               throw Error(error);
+            }
+
+            const existingSnapshot = externalId === null
+               ? null
+               : await firestore.collection("business").where("externalId", "==", externalId).limit(1).get();
+            const existingDoc = existingSnapshot && !existingSnapshot.empty ? existingSnapshot.docs[0] : null;
+
+            rowReport.externalId = externalId;
+            rowReport.status = existingDoc ? "updated" : "created";
+
+            if (existingDoc) {
+               rowReport.businessId = existingDoc.id;
+
+               if (!isDryRun) {
+                  await updateWithVersion(
+                     "business",
+                     existingDoc.id,
+                     business,
+                     { ...withGeohash(business), externalId },
+                     request.user.user_id
+                  );
+                  await assignSlug("business", existingDoc.id, business.name, existingDoc.data().slug);
+                  await indexBusiness(existingDoc.id, { ...existingDoc.data(), ...business });
+                  await updateTagUsage("business-tag", existingDoc.data().tags, business.tags);
+               }
+
+               report.updated++;
+            } else {
+               if (!isDryRun) {
+                  const businessRef = await firestore.collection("business").add({
+                     ...withGeohash(business),
+                     externalId,
+                     isVerified: false,
+                     verificationHistory: [],
+                     favouriteCount: 0
+                  });
+
+                  await assignSlug("business", businessRef.id, business.name);
+                  await indexBusiness(businessRef.id, business);
+                  await updateTagUsage("business-tag", [], business.tags);
+                  rowReport.businessId = businessRef.id;
+               }
+
+               report.created++;
+            }
+         } catch (error) {
+            rowReport.status = "failed";
+            rowReport.error = error.message;
+            report.failed++;
+         }
+      }
+
+      response.status(200).json(report);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Exports the business listings as a CSV or JSON document, optionally filtered by city or tag.
+ * @param {Object} request - The incoming request object containing the export options.
+ * @param {Object} response - The response object used to send the document back to the client.
+ */
+const exportBusinesses = async (request, response) => {
+   try {
+      const { format = "json", city, tag } = request.query;
+
+      const schema = joi.object({
+         format: joi.string().valid("csv", "json").required(),
+         city: joi.string(),
+         tag: joi.string().alphanum().length(20)
+      });
+
+      if (schema.validate({ format, city, tag }).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let businessQuery = firestore.collection("business");
+
+      if (city) {
+         businessQuery = businessQuery.where("city", "==", city.toLowerCase());
+      }
+
+      if (tag) {
+         businessQuery = businessQuery.where("tags", "array-contains", tag);
+      }
+
+      const querySnapshot = await businessQuery.get();
+      const rows = querySnapshot.docs.map(doc => toExportRow(doc.id, doc.data()));
+
+      if (format === "csv") {
+         const csvRows = rows.map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => {
+            return [column, jsonColumns.includes(column) && value !== null ? JSON.stringify(value) : value];
+         })));
+
+         response
+            .status(200)
+            .type("text/csv")
+            .set("Content-Disposition", 'attachment; filename="businesses.csv"')
+            .send(toCsv(csvRows, ['businessId', ...businessColumns]));
+      } else {
+         response
+            .status(200)
+            .set("Content-Disposition", 'attachment; filename="businesses.json"')
+            .json(rows);
+      }
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   importBusinesses,
+   exportBusinesses
+};
\ No newline at end of file
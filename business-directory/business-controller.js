@@ -6,7 +6,9 @@ const joi = require('joi');
 const {
    isFilePath,
    isUserId,
-   isCollectionId
+   isCollectionId,
+   isTimeZone,
+   isSlug
 } = require("../common-utils/validation-utils")
 const {
    getFileURLWithSuffix,
@@ -14,17 +16,58 @@ const {
    uploadFileToFolder,
    findFeatImageFile
 } = require("../common-utils/storage-utils")
+const {
+   daysOfWeek,
+   addDays,
+   getDayName,
+   getLocalDateTime,
+   getOpeningStatus
+} = require("../common-utils/schedule-utils");
+const {
+   formatDateTime,
+   buildCalendar
+} = require("../common-utils/calendar-utils");
+const {
+   batchSize,
+   deleteQueryDocuments
+} = require("../common-utils/firestore-utils");
+const {
+   placementSlots,
+   getFeaturedDocuments
+} = require("../featured-placement/placement-controller");
+const { recordBusinessEvents } = require("./analytics-controller");
+const { isUserAdmin } = require("../user-management/user-auth-controller");
+const { updateTagUsage } = require("../common-utils/tag-utils");
+const { removeTargetFromFavourites } = require("../user-management/favourite-controller");
+const { removeFollowers } = require("../user-management/follow-controller");
+const {
+   updateWithVersion,
+   getVersionCollection
+} = require("../common-utils/version-utils");
+const { findDuplicateBusinesses } = require("../common-utils/duplicate-utils");
+const {
+   assignSlug,
+   findBySlug,
+   removeSlugs
+} = require("../common-utils/slug-utils");
+const {
+   indexBusiness,
+   removeFromIndex,
+   searchIndex
+} = require("../common-utils/search-utils");
+const {
+   encodeGeohash,
+   getGeohashArea,
+   getGeohashPrecision,
+   getDistance
+} = require("../common-utils/geo-utils");
 
 /**
- * Verifies whether an object is a valid Business.
- * @param {Object} business - The object to be verified.
- * @returns {boolean} Returns true if the provided object is a valid Business.
+ * Validates an object against the Business schema.
+ * @param {Object} business - The object to be validated.
+ * @returns {string|null} The validation error message, or null if the object is a valid Business.
  */
-const isBusiness = (business) => {
-   const daysOfWeek = [
-      'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
-   ];
-
+const getBusinessError = (business) => {
    const daySchema = joi.object({
       day: joi.string().valid(...daysOfWeek).required(),
       isOpen: joi.boolean().required(),
@@ -32,6 +75,14 @@ const isBusiness = (business) => {
       finish: joi.string().regex(/^\d{2}:\d{2}$/).allow(null).required(),
    });
 
+   const exceptionSchema = joi.object({
+      date: joi.string().isoDate().regex(/^\d{4}-\d{2}-\d{2}$/).required(),
+      isOpen: joi.boolean().required(),
+      commence: joi.string().regex(/^\d{2}:\d{2}$/).allow(null).required(),
+      finish: joi.string().regex(/^\d{2}:\d{2}$/).allow(null).required(),
+      note: joi.string().allow(null, "").required()
+   });
+
    const schema = joi.object({
       name: joi.string().required(),
       description: joi.string().allow(null).required(),
@@ -42,19 +93,112 @@ const isBusiness = (business) => {
       website: joi.string().uri().allow(null).required(),
       address: joi.string().allow(null).required(),
       city: joi.string().allow(null).required(),
-      isFeatured: joi.boolean().required(),
       timeTable: joi.array().items(daySchema).unique((a, b) => a.day === b.day).required(),
-      appointments: joi.object().required(),
+      exceptions: joi.array().items(exceptionSchema).unique((a, b) => a.date === b.date).required(),
+      timeZone: joi.string().custom((value, helpers) => {
+         return isTimeZone(value) ? value : helpers.error("any.invalid");
+      }).allow(null).required(),
+      appointments: joi.object({
+         isEnabled: joi.boolean().required(),
+         slotDuration: joi.number().integer().min(5).max(720).required()
+      }).required(),
       featuredImageURL: joi.string().uri().allow(null).required(),
+      location: joi.object({
+         latitude: joi.number().min(-90).max(90).required(),
+         longitude: joi.number().min(-180).max(180).required()
+      }).allow(null).required(),
       ownerId: joi.string().alphanum().length(28).required()
    });
 
-   console.log(schema.validate(business).error)
-   return !schema.validate(business).error;
+   const { error } = schema.validate(business);
+   return error ? error.message : null;
+};
+
+/**
+ * Verifies whether an object is a valid Business.
+ * @param {Object} business - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid Business.
+ */
+const isBusiness = (business) => !getBusinessError(business);
+
+/**
+ * Validates whether an object is suitable for opening hours filtering.
+ * @param {Object} filterParams - The object containing the "openNow" and "openAt" query parameters.
+ * @returns {boolean} Returns true if the provided object is valid for opening hours filtering.
+ */
+const isOpeningFilter = (filterParams) => {
+   const schema = joi.object({
+      openNow: joi.boolean(),
+      openAt: joi.date().iso()
+   }).nand("openNow", "openAt");
+
+   return !schema.validate(filterParams).error;
+};
+
+/**
+ * Adds the computed opening status to each listed business and, when requested,
+ * keeps only the businesses that are open at the requested instant.
+ * @param {Array<Object>} businesses - The listed businesses.
+ * @param {Object} filterParams - The object containing the "openNow" and "openAt" query parameters.
+ * @returns {Array<Object>} The listed businesses with their opening status.
+ */
+const applyOpeningFilter = (businesses, { openNow, openAt }) => {
+   const instant = openAt ? new Date(openAt) : new Date();
+   const onlyOpen = openNow === "true" || !!openAt;
+
+   return businesses
+      .map(item => ({ ...item, openingStatus: getOpeningStatus(item.business, instant) }))
+      .filter(item => !onlyOpen || item.openingStatus.status !== "closed");
+};
+
+/**
+ * Validates whether an object is suitable for rating filtering and sorting.
+ * @param {Object} ratingParams - The object containing the "minRating" and "sortBy" query parameters.
+ * @returns {boolean} Returns true if the provided object is valid for rating filtering and sorting.
+ */
+const isRatingFilter = (ratingParams) => {
+   const schema = joi.object({
+      minRating: joi.number().min(1).max(5),
+      sortBy: joi.string().valid("rating")
+   });
+
+   return !schema.validate(ratingParams).error;
+};
+
+/**
+ * Keeps the listed businesses rated at least "minRating" and, when "sortBy" is "rating",
+ * sorts them by average rating and then by number of reviews, best first.
+ * @param {Array<Object>} businesses - The listed businesses.
+ * @param {Object} ratingParams - The object containing the "minRating" and "sortBy" query parameters.
+ * @returns {Array<Object>} The filtered and sorted businesses.
+ */
+const applyRatingFilter = (businesses, { minRating, sortBy }) => {
+   const filtered = minRating
+      ? businesses.filter(item => (item.business.ratingAverage || 0) >= Number(minRating))
+      : businesses;
+
+   if (sortBy === "rating") {
+      filtered.sort((a, b) => (b.business.ratingAverage || 0) - (a.business.ratingAverage || 0)
+         || (b.business.ratingCount || 0) - (a.business.ratingCount || 0));
+   }
+
+   return filtered;
+};
+
+/**
+ * Checks whether a user may see a business. Businesses hidden by a moderator can only be seen
+ * by their owner and administrators.
+ * @param {Object} business - The business data.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} Returns true if the user may see the business.
+ */
+const isBusinessVisible = async (business, userId) => {
+   return !business.isHidden || business.ownerId === userId || await isUserAdmin(userId);
 };
 
 /**
- * Adds a new business to the Firestore database.
+ * Adds a new business to the Firestore database. Suspected duplicates of existing listings are
+ * reported in the response, or block the creation when the "onDuplicate" query parameter is "block".
  * @param {Object} request - The incoming request object containing the business details.
  * @param {Object} response - The response object used to send the result back to the client.
  */
@@ -66,16 +210,70 @@ const addNewBusiness = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const businessRef = await firestore.collection("business").add(newBusiness);
+      const onDuplicate = request.query.onDuplicate || "warn";
+
+      if (joi.string().valid("warn", "block").validate(onDuplicate).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const duplicates = await findDuplicateBusinesses(newBusiness);
+
+      if (onDuplicate === "block" && duplicates.length > 0) {
+         return response.status(409).json({
+            error: "The business looks like a duplicate of an existing listing.",
+            duplicates
+         });
+      }
+
+      const businessRef = await firestore.collection("business").add({
+         ...withGeohash(newBusiness),
+         isVerified: false,
+         verificationHistory: [],
+         favouriteCount: 0
+      });
+
+      const slug = await assignSlug("business", businessRef.id, newBusiness.name);
+
+      await indexBusiness(businessRef.id, newBusiness);
+
+      await updateTagUsage("business-tag", [], newBusiness.tags);
 
-      response.status(200).json({ businessId: businessRef.id });
+      response.status(200).json({ businessId: businessRef.id, slug, duplicates });
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
 };
 
 /**
- * Updates a business in the Firestore database.
+ * Writes a validated update to a business, stores it as a new version and keeps its slug,
+ * the search index and tag usage counts in sync.
+ * @param {string} businessId - The ID of the business.
+ * @param {Object} businessUpdate - The validated business fields.
+ * @param {string} editorId - The ID of the user who made the change.
+ * @param {number|null} [restoredFrom] - The version restored by this update, if any.
+ * @returns {Promise<void>}
+ * @throws {Error} If the business does not exist.
+ */
+const saveBusinessUpdate = async (businessId, businessUpdate, editorId, restoredFrom = null) => {
+   const previousData = await updateWithVersion(
+      "business",
+      businessId,
+      businessUpdate,
+      withGeohash(businessUpdate),
+      editorId,
+      restoredFrom
+   );
+
+   await assignSlug("business", businessId, businessUpdate.name, previousData.slug);
+
+   await indexBusiness(businessId, { ...previousData, ...businessUpdate });
+
+   await updateTagUsage("business-tag", previousData.tags, businessUpdate.tags);
+};
+
+/**
+ * Updates a business in the Firestore database. Only the owner of the business or an
+ * administrator may update it, and its owner cannot be changed this way.
  * @param {Object} request - The incoming request object containing business update details.
  * @param {Object} response - The response object used to send the result back to the client.
  */
@@ -93,8 +291,22 @@ const updateBusiness = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const businessRef = firestore.collection("business").doc(businessId);
-      await businessRef.update(businessUpdate);
+      const userId = request.user.user_id;
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      if (businessDoc.data().ownerId !== userId && !await isUserAdmin(userId)) {
+         throw Error("Access to resources is denied for the user.");
+      }
+
+      if (businessUpdate.ownerId !== businessDoc.data().ownerId) {
+         throw Error("The owner of a business can only change through a claim.");
+      }
+
+      await saveBusinessUpdate(businessId, businessUpdate, userId);
 
       response.sendStatus(200);
    } catch (error) {
@@ -102,6 +314,78 @@ const updateBusiness = async (request, response) => {
    }
 };
 
+/**
+ * Moves the posts published on behalf of a business to another business, or unlinks them.
+ * @param {string} businessId - The ID of the business the posts are linked to.
+ * @param {string|null} replacementId - The ID of the business to link them to instead, or null.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while updating the posts.
+ */
+const relinkBusinessPosts = async (businessId, replacementId) => {
+   try {
+      const querySnapshot = await firestore.collection("post").where("businessId", "==", businessId).get();
+
+      for (let index = 0; index < querySnapshot.docs.length; index += batchSize) {
+         const batch = firestore.batch();
+         querySnapshot.docs.slice(index, index + batchSize).forEach((doc) => {
+            batch.update(doc.ref, { businessId: replacementId });
+         });
+         await batch.commit();
+      }
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Deletes a business with its reviews, analytics, favourites, followers, versions, slugs and stored files.
+ * @param {string} businessId - The ID of the business.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs during the deletion.
+ */
+const removeBusiness = async (businessId) => {
+   const businessRef = firestore.collection("business").doc(businessId);
+   const businessDoc = await businessRef.get();
+
+   await businessRef.delete();
+
+   await removeFromIndex("business", businessId);
+
+   if (businessDoc.exists) {
+      await updateTagUsage("business-tag", businessDoc.data().tags, []);
+   }
+
+   await deleteQueryDocuments(
+      firestore,
+      firestore.collection("business-review").where("businessId", "==", businessId)
+   );
+
+   await deleteQueryDocuments(
+      firestore,
+      firestore.collection("business-analytics").where("businessId", "==", businessId)
+   );
+
+   await removeTargetFromFavourites("business", businessId);
+
+   await removeFollowers("business", businessId);
+
+   await relinkBusinessPosts(businessId, null);
+
+   await deleteQueryDocuments(
+      firestore,
+      firestore.collection(getVersionCollection("business")).where("targetId", "==", businessId)
+   );
+
+   await deleteQueryDocuments(
+      firestore,
+      firestore.collection("business-redirect").where("targetId", "==", businessId)
+   );
+
+   await removeSlugs("business", businessId);
+
+   await deleteFilesInFolder(`business/${businessId}/`);
+};
+
 /**
  * Deletes a business from the Firestore database.
  * @param {Object} request - The incoming request object containing business deletion details.
@@ -115,9 +399,7 @@ const deleteBusinessAndFiles = async (request, response) => {
          throw Error("The request parameter provided is not valid or acceptable.");
       }
 
-      await firestore.collection("business").doc(businessId).delete();
-
-      await deleteFilesInFolder(`business/${businessId}/`);
+      await removeBusiness(businessId);
 
       response.sendStatus(200);
    } catch (error) {
@@ -132,11 +414,22 @@ const deleteBusinessAndFiles = async (request, response) => {
  */
 const getAllBusinesses = async (request, response) => {
    try {
+      const { openNow, openAt, minRating, sortBy } = request.query;
+
+      if (!isOpeningFilter({ openNow, openAt }) || !isRatingFilter({ minRating, sortBy })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
       const querySnapshot = await firestore.collection('business').get();
 
       const businesses = [];
       querySnapshot.forEach((doc) => {
          const businessData = doc.data();
+
+         if (businessData.isHidden) {
+            return;
+         }
+
          businesses.push({
             businessId: doc.id,
             business: {
@@ -145,37 +438,53 @@ const getAllBusinesses = async (request, response) => {
          });
       });
 
-      response.status(200).json(businesses);
+      const ratedBusinesses = applyRatingFilter(businesses, { minRating, sortBy });
+
+      response.status(200).json(applyOpeningFilter(ratedBusinesses, { openNow, openAt }));
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
 };
 
 /**
-* Retrieves a list of featured businesses from the firestore database.
-* Businesses with the 'isFeatured' field set to true are returned.
+* Retrieves the businesses featured by the currently active placements, in priority order.
+* Only the verified businesses are returned when the 'verifiedOnly' query parameter is true,
+* and the 'slot' query parameter restricts the placements to a single slot.
 * @param {Object} request - The incoming request object.
 * @param {Object} response - The response object used to send the result back to the client.
 */
 const getFeatBusinesses = async (request, response) => {
    try {
-      const querySnapshot = await firestore
-         .collection("business")
-         .where("isFeatured", "==", true)
-         .get();
+      const { openNow, openAt, verifiedOnly, slot } = request.query;
 
-      const featBusinesses = [];
-      querySnapshot.forEach((doc) => {
-         const businessData = doc.data();
-         featBusinesses.push({
+      if (!isOpeningFilter({ openNow, openAt })
+         || joi.boolean().validate(verifiedOnly).error
+         || joi.string().valid(...placementSlots).validate(slot).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const featuredDocuments = await getFeaturedDocuments("business", slot);
+
+      const featBusinesses = featuredDocuments
+         .filter(({ doc }) => verifiedOnly !== "true" || doc.data().isVerified)
+         .map(({ doc, placement }) => ({
             businessId: doc.id,
+            placement: {
+               placementId: placement.placementId,
+               slot: placement.slot,
+               priority: placement.priority,
+               endTime: placement.endTime
+            },
             business: {
-               ...businessData
+               ...doc.data()
             }
-         });
-      });
+         }));
+
+      const listedBusinesses = applyOpeningFilter(featBusinesses, { openNow, openAt });
 
-      response.status(200).json(featBusinesses);
+      recordBusinessEvents(listedBusinesses.map(item => item.businessId), "featured-impression");
+
+      response.status(200).json(listedBusinesses);
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
@@ -195,21 +504,51 @@ const isSearchParameters = (searchParams) => {
       name: joi.string().allow(null, "").required(),
       city: joi.string().allow(null, "").required(),
       tags: joi.array().items(joi.string()).allow(null, "").required(),
-   });
+      latitude: joi.number().min(-90).max(90),
+      longitude: joi.number().min(-180).max(180),
+      radius: joi.number().positive().max(500)
+   }).and("latitude", "longitude", "radius");
 
    return !schema.validate(searchParams).hasOwnProperty("error");
 };
 
+/**
+ * Adds the geohash index of its location to a business, if it has one.
+ * @param {Object} business - The validated business object.
+ * @returns {Object} The business with its location geohash set.
+ */
+const withGeohash = (business) => {
+   if (!business.location) {
+      return business;
+   }
+
+   const { latitude, longitude } = business.location;
+
+   return {
+      ...business,
+      location: { latitude, longitude, geohash: encodeGeohash(latitude, longitude) }
+   };
+};
+
 /**
  * Search for businesses in the firestore database that match the specified criteria.
+ * The name is matched against the business names of the search index, tolerating accents,
+ * case and typos, and results are ordered by relevance. When a point and radius are given,
+ * only businesses within the radius are returned, sorted by their distance (in kilometres)
+ * from the point. The "openNow" and "openAt" parameters restrict the results to businesses
+ * open at that instant, and "sortBy=rating" orders them by rating instead.
  * @param {Object} request - The incoming request object containing the search criteria.
  * @param {Object} response - The response object used to send the result back to the client.
  */
 const getMatchingBusinesses = async (request, response) => {
    try {
-      const { name, city, tags } = request.query;
+      const {
+         name, city, tags, latitude, longitude, radius, openNow, openAt, minRating, sortBy
+      } = request.query;
 
-      if (!isSearchParameters({ name, city, tags })) {
+      if (!isSearchParameters({ name, city, tags, latitude, longitude, radius })
+         || !isOpeningFilter({ openNow, openAt })
+         || !isRatingFilter({ minRating, sortBy })) {
          throw Error("The query parameters provided are not valid or acceptable.");
       }
 
@@ -223,22 +562,71 @@ const getMatchingBusinesses = async (request, response) => {
          businessQuery = businessQuery.where("city", "==", city.toLowerCase());
       }
 
-      const querySnapshot = await businessQuery.get();
+      const nameScores = name
+         ? new Map((await searchIndex("business", name, ["name"])).map(match => [match.id, match.score]))
+         : null;
+
+      const isNearbySearch = latitude !== undefined;
+      let documents;
+
+      if (isNearbySearch) {
+         const precision = getGeohashPrecision(Number(radius), Number(latitude));
+         const cells = getGeohashArea(encodeGeohash(Number(latitude), Number(longitude), precision));
+
+         const snapshots = await Promise.all(cells.map(cell => businessQuery
+            .orderBy("location.geohash")
+            .startAt(cell)
+            .endAt(`${cell}\uf8ff`)
+            .get()
+         ));
+
+         documents = snapshots.flatMap(snapshot => snapshot.docs);
+      } else {
+         documents = (await businessQuery.get()).docs;
+      }
 
       const matchedBusinesses = [];
-      querySnapshot.forEach((doc) => {
+      const seenIds = new Set();
+      documents.forEach((doc) => {
          const businessData = doc.data();
-         if (businessData.name.toLowerCase().includes(name.toLowerCase())) {
-            matchedBusinesses.push({
-               businessId: doc.id,
-               business: {
-                  ...businessData
-               }
-            });
+
+         if (seenIds.has(doc.id) || businessData.isHidden || (nameScores && !nameScores.has(doc.id))) {
+            return;
+         }
+
+         seenIds.add(doc.id);
+
+         if (isNearbySearch) {
+            const distance = getDistance(
+               Number(latitude),
+               Number(longitude),
+               businessData.location.latitude,
+               businessData.location.longitude
+            );
+
+            if (distance > Number(radius)) {
+               return;
+            }
+
+            matchedBusinesses.push({ businessId: doc.id, distance, business: { ...businessData } });
+         } else {
+            matchedBusinesses.push({ businessId: doc.id, business: { ...businessData } });
          }
       });
 
-      response.status(200).json(matchedBusinesses);
+      if (isNearbySearch) {
+         matchedBusinesses.sort((a, b) => a.distance - b.distance);
+      } else if (nameScores) {
+         matchedBusinesses.sort((a, b) => nameScores.get(b.businessId) - nameScores.get(a.businessId));
+      }
+
+      const ratedBusinesses = applyRatingFilter(matchedBusinesses, { minRating, sortBy });
+
+      const listedBusinesses = applyOpeningFilter(ratedBusinesses, { openNow, openAt });
+
+      recordBusinessEvents(listedBusinesses.map(item => item.businessId), "search-appearance");
+
+      response.status(200).json(listedBusinesses);
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
@@ -288,7 +676,7 @@ const deleteBusinessFeatImage = async (request, response) => {
 };
 
 /**
- * Retrieves business data by its ID from the Firestore database.
+ * Retrieves business data by its ID from the Firestore database, including its ordered gallery.
  * @param {object} request - The request object containing parameters.
  * @param {object} response - The response object to send back to the client.
  */
@@ -305,19 +693,70 @@ const getBusinessById = async (request, response) => {
       const businessDoc = await businessCollection.doc(businessId).get();
 
       if (!businessDoc.exists) {
+         const redirectDoc = await firestore.collection("business-redirect").doc(businessId).get();
+
+         if (redirectDoc.exists) {
+            return response.redirect(308, `${request.baseUrl}/get-business-by-id/${redirectDoc.data().targetId}`);
+         }
+
          throw Error(`Business with ID ${businessId} not found.`);
       }
 
       const businessData = businessDoc.data();
 
-      response.status(200).json(businessData);
+      if (!await isBusinessVisible(businessData, request.user.user_id)) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      recordBusinessEvents([businessId], "view");
+
+      response.status(200).json({ ...businessData, gallery: businessData.gallery || [] });
    } catch (error) {
       response.status(500).json({ error: error.message });
    }
 };
 
 /**
- * Retrieves businesses from the Firestore database based on the specified owner ID.
+ * Retrieves business data by its current or former slug, including its ordered gallery.
+ * Former slugs are redirected to the current one.
+ * @param {object} request - The request object containing parameters.
+ * @param {object} response - The response object to send back to the client.
+ */
+const getBusinessBySlug = async (request, response) => {
+   try {
+      const slug = request.params.slug;
+
+      if (!isSlug(slug)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const businessDoc = await findBySlug("business", slug);
+
+      if (!businessDoc) {
+         throw Error(`Business with slug ${slug} not found.`);
+      }
+
+      const businessData = businessDoc.data();
+
+      if (!await isBusinessVisible(businessData, request.user.user_id)) {
+         throw Error(`Business with slug ${slug} not found.`);
+      }
+
+      if (businessData.slug !== slug) {
+         return response.redirect(308, `${request.baseUrl}/get-business-by-slug/${businessData.slug}`);
+      }
+
+      recordBusinessEvents([businessDoc.id], "view");
+
+      response.status(200).json({ businessId: businessDoc.id, ...businessData, gallery: businessData.gallery || [] });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves businesses from the Firestore database based on the specified owner ID. Hidden
+ * businesses are only listed for their owner and administrators.
  * @param {object} request - The request object containing parameters.
  * @param {object} response - The response object to send back to the client.
  */
@@ -333,12 +772,14 @@ const getBusinessByOwnerId = async (request, response) => {
       const querySnapshot = await businessCollection.where('ownerId', '==', ownerId).get();
       const businesses = [];
 
-      querySnapshot.forEach((doc) => {
-         businesses.push({
-            businessId: doc.id,
-            business: doc.data()
-         });
-      });
+      for (const doc of querySnapshot.docs) {
+         if (await isBusinessVisible(doc.data(), request.user.user_id)) {
+            businesses.push({
+               businessId: doc.id,
+               business: doc.data()
+            });
+         }
+      }
 
       response.status(200).json(businesses);
    } catch (error) {
@@ -378,17 +819,115 @@ const uploadBusinessFeatImage = async (request, response) => {
    }
 };
 
+/**
+ * Formats a date-time property of an iCalendar event in the time zone of a business.
+ * @param {string} name - The property name, e.g. "DTSTART".
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @param {string} time - The "HH:MM" time.
+ * @param {string|null} timeZone - The time zone of the business.
+ * @returns {string} The iCalendar property line.
+ */
+const formatCalendarTime = (name, date, time, timeZone) => {
+   const zone = timeZone ? `;TZID=${timeZone}` : "";
+   return `${name}${zone}:${formatDateTime(date, time)}`;
+};
+
+/**
+ * Exports the opening hours of a business, including its dated exceptions, as an iCalendar feed.
+ * Weekly hours are exported as recurring events that skip the dates covered by an exception.
+ * @param {object} request - The request object containing the business ID.
+ * @param {object} response - The response object used to send the calendar back to the client.
+ */
+const getBusinessCalendar = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      const { name, timeTable, timeZone, exceptions = [] } = businessDoc.data();
+      const today = getLocalDateTime(new Date(), timeZone).date;
+      const events = [];
+
+      (timeTable || []).filter(entry => entry.isOpen && entry.commence && entry.finish)
+         .forEach((entry) => {
+            const startDate = [0, 1, 2, 3, 4, 5, 6]
+               .map(offset => addDays(today, offset))
+               .find(date => getDayName(date) === entry.day);
+            const endDate = entry.finish <= entry.commence ? addDays(startDate, 1) : startDate;
+            const skippedDates = exceptions
+               .filter(exception => exception.date >= startDate && getDayName(exception.date) === entry.day)
+               .map(exception => formatCalendarTime("EXDATE", exception.date, entry.commence, timeZone));
+
+            events.push({
+               id: `${businessId}-${entry.day.toLowerCase()}`,
+               summary: `${name} opening hours`,
+               properties: [
+                  formatCalendarTime("DTSTART", startDate, entry.commence, timeZone),
+                  formatCalendarTime("DTEND", endDate, entry.finish, timeZone),
+                  "RRULE:FREQ=WEEKLY",
+                  ...skippedDates
+               ]
+            });
+         });
+
+      exceptions.forEach((exception) => {
+         const isSpecialHours = exception.isOpen && exception.commence && exception.finish;
+         const endDate = isSpecialHours && exception.finish <= exception.commence
+            ? addDays(exception.date, 1)
+            : exception.date;
+
+         events.push({
+            id: `${businessId}-${exception.date}`,
+            summary: isSpecialHours ? `${name} special opening hours` : `${name} closed`,
+            description: exception.note,
+            properties: isSpecialHours
+               ? [
+                  formatCalendarTime("DTSTART", exception.date, exception.commence, timeZone),
+                  formatCalendarTime("DTEND", endDate, exception.finish, timeZone)
+               ]
+               : [
+                  `DTSTART;VALUE=DATE:${formatDateTime(exception.date)}`,
+                  `DTEND;VALUE=DATE:${formatDateTime(addDays(exception.date, 1))}`
+               ]
+         });
+      });
+
+      response
+         .status(200)
+         .type("text/calendar")
+         .set("Content-Disposition", `attachment; filename="${businessId}.ics"`)
+         .send(buildCalendar(businessId, name, events));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
 // Export controller functions
 module.exports = {
+   getBusinessError,
+   withGeohash,
+   saveBusinessUpdate,
+   removeBusiness,
+   relinkBusinessPosts,
    addNewBusiness,
    updateBusiness,
    deleteBusinessAndFiles,
    getFeatBusinesses,
    getBusinessById,
+   getBusinessBySlug,
    getBusinessByOwnerId,
    getMatchingBusinesses,
    getAllBusinesses,
    uploadBusinessFeatImage,
    getBusinessFeatImage,
-   deleteBusinessFeatImage
+   deleteBusinessFeatImage,
+   getBusinessCalendar
 };
\ No newline at end of file
@@ -0,0 +1,234 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const path = require('path');
+const joi = require('joi');
+const { batchSize } = require("../common-utils/firestore-utils");
+const {
+   findFeatImageFile,
+   copyFile
+} = require("../common-utils/storage-utils");
+const { getDuplicateClusters } = require("../common-utils/duplicate-utils");
+const { moveSlugs } = require("../common-utils/slug-utils");
+const { moveFavourites } = require("../user-management/favourite-controller");
+const { moveFollowers } = require("../user-management/follow-controller");
+const {
+   getBusinessError,
+   saveBusinessUpdate,
+   removeBusiness,
+   relinkBusinessPosts
+} = require("./business-controller");
+
+// Business fields that can be taken from either listing when merging
+const mergeableFields = [
+   'name', 'description', 'tags', 'phoneNumber', 'phoneNumberSecondary', 'email', 'website',
+   'address', 'city', 'timeTable', 'exceptions', 'timeZone', 'appointments', 'featuredImageURL',
+   'location', 'ownerId'
+];
+
+/**
+ * Verifies whether an object is a valid business merge request.
+ * @param {Object} merge - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid merge request.
+ */
+const isBusinessMerge = (merge) => {
+   const schema = joi.object({
+      sourceId: joi.string().alphanum().length(20).required(),
+      targetId: joi.string().alphanum().length(20).invalid(joi.ref('sourceId')).required(),
+      keepFields: joi.object(Object.fromEntries(mergeableFields.map(field => {
+         return [field, joi.string().valid("source", "target")];
+      })))
+   });
+
+   return !schema.validate(merge).error;
+};
+
+/**
+ * Copies the gallery images of the source business into the gallery folder of the target.
+ * @param {string} sourceId - The ID of the merged business.
+ * @param {string} targetId - The ID of the business that is kept.
+ * @param {Array<Object>} gallery - The gallery of the merged business.
+ * @returns {Promise<Array<Object>>} The copied gallery images, with their new URLs.
+ */
+const copyGalleryImages = (sourceId, targetId, gallery) => {
+   return Promise.all(gallery.map(async (image) => ({
+      ...image,
+      fileURL: await copyFile(
+         `business/${sourceId}/gallery/${image.fileName}`,
+         `business/${targetId}/gallery/${image.fileName}`
+      )
+   })));
+};
+
+/**
+ * Replaces the featured image of the target business with the one of the source business.
+ * @param {string} sourceId - The ID of the merged business.
+ * @param {string} targetId - The ID of the business that is kept.
+ * @returns {Promise<string|null>} The URL of the copied image, or null if the source has none.
+ */
+const copyFeatImage = async (sourceId, targetId) => {
+   let sourceImage;
+
+   try {
+      sourceImage = await findFeatImageFile(`business/${sourceId}/`);
+   } catch (error) {
+      return null;
+   }
+
+   try {
+      const targetImage = await findFeatImageFile(`business/${targetId}/`);
+      await targetImage.delete();
+   } catch (error) {
+      // The target business has no featured image yet
+   }
+
+   return copyFile(sourceImage.name, `business/${targetId}/${path.basename(sourceImage.name)}`);
+};
+
+/**
+ * Moves the reviews of the source business to the target business and recomputes its rating.
+ * Reviews by users who already reviewed the target, or by its owner, are dropped.
+ * @param {string} sourceId - The ID of the merged business.
+ * @param {string} targetId - The ID of the business that is kept.
+ * @param {string} ownerId - The ID of the owner of the kept business.
+ * @returns {Promise<void>}
+ */
+const moveReviews = async (sourceId, targetId, ownerId) => {
+   const [sourceSnapshot, targetSnapshot] = await Promise.all([sourceId, targetId].map(businessId => {
+      return firestore.collection("business-review").where("businessId", "==", businessId).get();
+   }));
+
+   const targetAuthors = new Set(targetSnapshot.docs.map(doc => doc.data().authorId));
+   const movedReviews = sourceSnapshot.docs
+      .map(doc => doc.data())
+      .filter(review => !targetAuthors.has(review.authorId) && review.authorId !== ownerId);
+
+   for (let index = 0; index < movedReviews.length; index += batchSize) {
+      const batch = firestore.batch();
+
+      movedReviews.slice(index, index + batchSize).forEach((review) => {
+         const reviewRef = firestore.collection("business-review").doc(`${targetId}_${review.authorId}`);
+         batch.set(reviewRef, { ...review, businessId: targetId });
+      });
+
+      await batch.commit();
+   }
+
+   const ratings = [...targetSnapshot.docs.map(doc => doc.data()), ...movedReviews].map(review => review.rating);
+   const ratingTotal = ratings.reduce((total, rating) => total + rating, 0);
+
+   await firestore.collection("business").doc(targetId).update({
+      ratingCount: ratings.length,
+      ratingTotal,
+      ratingAverage: ratings.length > 0 ? Math.round(ratingTotal / ratings.length * 100) / 100 : 0
+   });
+};
+
+/**
+ * Reports the clusters of businesses suspected to be duplicates of each other.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getDuplicateBusinesses = async (request, response) => {
+   try {
+      const querySnapshot = await firestore.collection("business").get();
+      const businesses = querySnapshot.docs.map(doc => ({ businessId: doc.id, business: doc.data() }));
+      const businessById = new Map(businesses.map(item => [item.businessId, item.business]));
+
+      const clusters = getDuplicateClusters(businesses).map(cluster => ({
+         ...cluster,
+         businesses: cluster.businessIds.map(businessId => {
+            const { name, city, address, phoneNumber, ownerId, isVerified } = businessById.get(businessId);
+            return { businessId, business: { name, city, address, phoneNumber, ownerId, isVerified } };
+         })
+      }));
+
+      response.status(200).json(clusters);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Merges a duplicate business into another one. The kept business takes the chosen fields of
+ * either listing and receives the gallery, reviews, favourites, followers and posts of the
+ * merged one, and the merged business is deleted and its ID redirected to the kept business.
+ * @param {Object} request - The incoming request object containing the source and target IDs,
+ * and the listing each field is kept from (the target by default).
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const mergeBusinesses = async (request, response) => {
+   try {
+      const merge = request.body;
+
+      if (!isBusinessMerge(merge)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { sourceId, targetId, keepFields = {} } = merge;
+      const [sourceDoc, targetDoc] = await Promise.all([sourceId, targetId].map(businessId => {
+         return firestore.collection("business").doc(businessId).get();
+      }));
+
+      if (!sourceDoc.exists || !targetDoc.exists) {
+         throw Error("The businesses to merge could not be found.");
+      }
+
+      const source = sourceDoc.data();
+      const target = targetDoc.data();
+
+      const mergedBusiness = Object.fromEntries(mergeableFields.map(field => {
+         return [field, (keepFields[field] === "source" ? source[field] : target[field]) ?? null];
+      }));
+
+      const error = getBusinessError(mergedBusiness);
+
+      if (error) {
+         throw Error(`The merged business is not valid: ${error}`);
+      }
+
+      const copiedGallery = await copyGalleryImages(sourceId, targetId, source.gallery || []);
+      const imageUpdate = { gallery: [...(target.gallery || []), ...copiedGallery] };
+
+      if (keepFields.featuredImageURL === "source") {
+         mergedBusiness.featuredImageURL = await copyFeatImage(sourceId, targetId);
+         imageUpdate.featuredImageId = source.featuredImageId || null;
+      }
+
+      // The slugs are moved first, so that a name kept from the source can keep its slug too
+      await moveSlugs("business", sourceId, targetId);
+      await saveBusinessUpdate(targetId, mergedBusiness, request.user.user_id);
+      await firestore.collection("business").doc(targetId).update(imageUpdate);
+
+      await moveReviews(sourceId, targetId, mergedBusiness.ownerId);
+      await moveFavourites("business", sourceId, targetId);
+      await moveFollowers("business", sourceId, targetId);
+      await relinkBusinessPosts(sourceId, targetId);
+
+      const redirectSnapshot = await firestore
+         .collection("business-redirect")
+         .where("targetId", "==", sourceId)
+         .get();
+
+      const batch = firestore.batch();
+      redirectSnapshot.docs.forEach(doc => batch.update(doc.ref, { targetId }));
+      batch.set(firestore.collection("business-redirect").doc(sourceId), {
+         targetId,
+         mergedBy: request.user.user_id,
+         timestamp: Math.floor(new Date() / 1000)
+      });
+      await batch.commit();
+
+      await removeBusiness(sourceId);
+
+      response.status(200).json({ businessId: targetId });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getDuplicateBusinesses,
+   mergeBusinesses
+};
\ No newline at end of file
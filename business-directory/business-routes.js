@@ -1,7 +1,10 @@
 // Import the Express framework and create a router
 const express = require("express");
 const router = express.Router();
-const { verifyAuthToken } = require("../user-management/user-auth-controller");
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
 
 // Import business-related controller functions
 const {
@@ -10,12 +13,14 @@ const {
    deleteBusinessAndFiles,
    getFeatBusinesses,
    getBusinessById,
+   getBusinessBySlug,
    getBusinessByOwnerId,
    getMatchingBusinesses,
    getAllBusinesses,
    getBusinessFeatImage,
    uploadBusinessFeatImage,
-   deleteBusinessFeatImage
+   deleteBusinessFeatImage,
+   getBusinessCalendar
 } = require("./business-controller");
 
 // Import business tag-related controller functions
@@ -24,21 +29,85 @@ const {
    deleteBusinessTag,
    updateBusinessTag,
    getBusinessTag,
-   getAllBusinessTags
+   getAllBusinessTags,
+   mergeBusinessTags
 } = require("./business-tag-controller");
 
+// Import appointment-related controller functions
+const {
+   getAvailableSlots,
+   bookAppointment,
+   rescheduleAppointment,
+   cancelAppointment,
+   getCustomerAppointments,
+   getOwnerAppointments
+} = require("./appointment-controller");
+
+// Import review-related controller functions
+const {
+   addNewReview,
+   updateReview,
+   deleteReview,
+   replyToReview,
+   getBusinessReviews
+} = require("./review-controller");
+
+// Import claim-related controller functions
+const {
+   claimBusiness,
+   getBusinessClaims,
+   reviewBusinessClaim,
+   revokeBusinessVerification
+} = require("./claim-controller");
+
+// Import gallery-related controller functions
+const {
+   uploadGalleryImage,
+   updateGalleryCaption,
+   reorderGallery,
+   setFeatGalleryImage,
+   deleteGalleryImage
+} = require("./gallery-controller");
+
+// Import analytics-related controller functions
+const {
+   recordBusinessClick,
+   getBusinessAnalytics
+} = require("./analytics-controller");
+
+// Import bulk import and export controller functions
+const {
+   importBusinesses,
+   exportBusinesses
+} = require("./business-bulk-controller");
+
+// Import version history controller functions
+const {
+   getBusinessVersions,
+   getBusinessVersionDiff,
+   restoreBusinessVersion
+} = require("./business-version-controller");
+
+// Import duplicate detection and merge controller functions
+const {
+   getDuplicateBusinesses,
+   mergeBusinesses
+} = require("./business-merge-controller");
+
 // Business related routes
 router.post("/add-new-business", addNewBusiness);
-router.put("/update-business/:businessId", updateBusiness);
+router.put("/update-business/:businessId", verifyAuthToken, updateBusiness);
 router.delete("/delete-business-and-files/:businessId", deleteBusinessAndFiles);
 router.get("/get-feat-businesses", verifyAuthToken, getFeatBusinesses);
 router.get("/get-business-by-id/:businessId", verifyAuthToken, getBusinessById);
+router.get("/get-business-by-slug/:slug", verifyAuthToken, getBusinessBySlug);
 router.get("/get-business-by-owner-id/:ownerId", verifyAuthToken, getBusinessByOwnerId);
 router.get("/get-matching-businesses", verifyAuthToken, getMatchingBusinesses);
 router.get("/get-all-businesses", getAllBusinesses);
 router.get("/get-business-feat-image/:businessId", getBusinessFeatImage);
 router.post("/upload-business-feat-image/:businessId", uploadBusinessFeatImage);
 router.delete("/delete-business-feat-image/:businessId", deleteBusinessFeatImage);
+router.get("/get-business-calendar/:businessId", getBusinessCalendar);
 
 // Business Tag related routes
 router.post("/add-new-business-tag", addNewBusinessTag);
@@ -46,6 +115,59 @@ router.put("/update-business-tag/:tagId", updateBusinessTag);
 router.delete("/delete-business-tag/:tagId", deleteBusinessTag);
 router.get("/get-business-tag/:tagId", getBusinessTag);
 router.get("/get-all-business-tags", verifyAuthToken, getAllBusinessTags);
+router.put("/merge-business-tags", verifyAuthToken, verifyAdminUser, mergeBusinessTags);
+
+// Appointment related routes
+router.get("/get-available-slots/:businessId", verifyAuthToken, getAvailableSlots);
+router.post("/book-appointment", verifyAuthToken, bookAppointment);
+router.put("/reschedule-appointment/:appointmentId", verifyAuthToken, rescheduleAppointment);
+router.put("/cancel-appointment/:appointmentId", verifyAuthToken, cancelAppointment);
+router.get("/get-customer-appointments", verifyAuthToken, getCustomerAppointments);
+router.get("/get-owner-appointments", verifyAuthToken, getOwnerAppointments);
+
+// Review related routes
+router.post("/add-new-review/:businessId", verifyAuthToken, addNewReview);
+router.put("/update-review/:businessId", verifyAuthToken, updateReview);
+router.delete("/delete-review/:businessId", verifyAuthToken, deleteReview);
+router.put("/reply-to-review/:businessId/:authorId", verifyAuthToken, replyToReview);
+router.get("/get-business-reviews/:businessId", verifyAuthToken, getBusinessReviews);
+
+// Claim related routes
+router.post("/claim-business/:businessId", verifyAuthToken, claimBusiness);
+router.get("/get-business-claims", verifyAuthToken, verifyAdminUser, getBusinessClaims);
+router.put("/review-business-claim/:claimId", verifyAuthToken, verifyAdminUser, reviewBusinessClaim);
+router.put("/revoke-business-verification/:businessId", verifyAuthToken, verifyAdminUser, revokeBusinessVerification);
+
+// Gallery related routes
+router.post("/upload-gallery-image/:businessId", uploadGalleryImage);
+router.put("/update-gallery-caption/:businessId/:imageId", updateGalleryCaption);
+router.put("/reorder-gallery/:businessId", reorderGallery);
+router.put("/set-feat-gallery-image/:businessId/:imageId", setFeatGalleryImage);
+router.delete("/delete-gallery-image/:businessId/:imageId", deleteGalleryImage);
+
+// Analytics related routes
+router.post("/record-business-click/:businessId", verifyAuthToken, recordBusinessClick);
+router.get("/get-business-analytics/:businessId", verifyAuthToken, getBusinessAnalytics);
+
+// Bulk import and export related routes; JSON imports get their larger body limit in index.js,
+// ahead of the application-wide JSON parser
+router.post(
+   "/import-businesses",
+   verifyAuthToken,
+   verifyAdminUser,
+   express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+   importBusinesses
+);
+router.get("/export-businesses", verifyAuthToken, verifyAdminUser, exportBusinesses);
+
+// Version history related routes
+router.get("/get-business-versions/:businessId", verifyAuthToken, getBusinessVersions);
+router.get("/get-business-version-diff/:businessId", verifyAuthToken, getBusinessVersionDiff);
+router.put("/restore-business-version/:businessId/:version", verifyAuthToken, restoreBusinessVersion);
+
+// Duplicate detection and merge related routes
+router.get("/get-duplicate-businesses", verifyAuthToken, verifyAdminUser, getDuplicateBusinesses);
+router.put("/merge-businesses", verifyAuthToken, verifyAdminUser, mergeBusinesses);
 
 // Export the router with defined routes
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,20 @@
 // Import necessary modules and dependencies
 const firebase = require("../firebase-database");
 const firestore = firebase.firestore();
+const joi = require('joi');
 const {
    isCollectionId,
    isTag
 } = require("../common-utils/validation-utils")
+const {
+   toTagFields,
+   assertUniqueSlug,
+   assertValidParent,
+   buildTagTree,
+   reindexTaggedDocuments,
+   deleteTag,
+   mergeTags
+} = require("../common-utils/tag-utils");
 
 /**
  * Adds a new business tag to the Firestore database.
@@ -19,7 +29,11 @@ const addNewBusinessTag = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const tag = await firestore.collection("business-tag").add(newTag);
+      const tagFields = toTagFields(newTag);
+      await assertUniqueSlug("business-tag", tagFields.slug);
+      await assertValidParent("business-tag", tagFields.parentId);
+
+      const tag = await firestore.collection("business-tag").add({ ...tagFields, usageCount: 0 });
 
       response.status(200).json({ tagId: tag.id });
    } catch (error) {
@@ -28,7 +42,8 @@ const addNewBusinessTag = async (request, response) => {
 };
 
 /**
- * Updates an existing business tag in the Firestore database.
+ * Updates an existing business tag in the Firestore database. When its name or synonyms change,
+ * the businesses using the tag are reindexed so that search matches the new names.
  * @param {object} request - The HTTP request object containing the tag ID and the updated tag.
  * @param {object} response - The HTTP response object to be sent back to the client.
  */
@@ -46,8 +61,19 @@ const updateBusinessTag = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
+      const tagFields = toTagFields(tagUpdate);
+      await assertUniqueSlug("business-tag", tagFields.slug, tagId);
+      await assertValidParent("business-tag", tagFields.parentId, tagId);
+
       const tagRef = firestore.collection("business-tag").doc(tagId);
-      await tagRef.update(tagUpdate);
+      const previousTag = (await tagRef.get()).data() || {};
+      await tagRef.update(tagFields);
+
+      const toSynonymKey = (synonyms) => JSON.stringify([...(synonyms || [])].sort());
+
+      if (previousTag.name !== tagFields.name || toSynonymKey(previousTag.synonyms) !== toSynonymKey(tagFields.synonyms)) {
+         await reindexTaggedDocuments("business-tag", tagId);
+      }
 
       response.sendStatus(200);
    } catch (error) {
@@ -56,7 +82,9 @@ const updateBusinessTag = async (request, response) => {
 };
 
 /**
- * Deletes a business tag from the Firestore database.
+ * Deletes a business tag from the Firestore database, moving its children under its parent.
+ * A tag still used by businesses is only deleted when the "cascade" query parameter is true,
+ * in which case it is removed from every business referencing it.
  * @param {object} request - The HTTP request object containing the tag ID in the URL parameter.
  * @param {object} response - The HTTP response object to be sent back to the client.
  */
@@ -68,9 +96,15 @@ const deleteBusinessTag = async (request, response) => {
          throw Error("The request parameter provided is not valid or acceptable.");
       }
 
-      await firestore.collection("business-tag").doc(tagId).delete();
+      const cascade = request.query.cascade;
 
-      response.sendStatus(200);
+      if (joi.boolean().validate(cascade).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const documentsChanged = await deleteTag("business-tag", tagId, cascade === "true");
+
+      response.status(200).json({ documentsChanged });
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
@@ -104,23 +138,14 @@ const getBusinessTag = async (request, response) => {
 };
 
 /**
- * Retrieves all business tags from the "business-tag" collection.
+ * Retrieves all business tags from the "business-tag" collection, arranged as a tree of categories.
  * @param {object} response - The HTTP response object to send the retrieved tags or error status.
  */
 const getAllBusinessTags = async (request, response) => {
    try {
       const tagsSnapshot = await firestore.collection("business-tag").get();
 
-      const tags = [];
-      tagsSnapshot.forEach((doc) => {
-         const tagData = doc.data();
-         tags.push({
-            tagId: doc.id,
-            tag: {
-               ...tagData
-            }
-         });
-      });
+      const tags = buildTagTree(tagsSnapshot.docs);
 
       response.status(200).json(tags);
    } catch (error) {
@@ -128,11 +153,36 @@ const getAllBusinessTags = async (request, response) => {
    }
 };
 
+/**
+ * Merges a business tag into another one: every business referencing the source tag is rewritten to
+ * reference the target tag, the source tag's name and synonyms become synonyms of the target
+ * tag, its children move under the target tag and the source tag is deleted. Every business of
+ * the target tag is then reindexed, so that searching the source tag's names finds it.
+ * @param {object} request - The HTTP request object containing the source and target tag IDs.
+ * @param {object} response - The HTTP response object to be sent back to the client.
+ */
+const mergeBusinessTags = async (request, response) => {
+   try {
+      const { sourceTagId, targetTagId } = request.body;
+
+      if (!isCollectionId(sourceTagId) || !isCollectionId(targetTagId) || sourceTagId === targetTagId) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const documentsChanged = await mergeTags("business-tag", sourceTagId, targetTagId);
+
+      response.status(200).json({ documentsChanged });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
 // Export controller functions
 module.exports = {
    addNewBusinessTag,
    deleteBusinessTag,
    updateBusinessTag,
    getBusinessTag,
-   getAllBusinessTags
+   getAllBusinessTags,
+   mergeBusinessTags
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const {
+   isCollectionId,
+   isVersionNumber
+} = require("../common-utils/validation-utils");
+const {
+   getFieldDiff,
+   getVersions,
+   getVersion
+} = require("../common-utils/version-utils");
+const { isUserAdmin } = require("../user-management/user-auth-controller");
+const {
+   getBusinessError,
+   saveBusinessUpdate
+} = require("./business-controller");
+
+/**
+ * Fetches a business whose version history the user asks for. Only the owner of the business or an
+ * administrator may access it, as it keeps the fields of listings hidden by a moderator.
+ * @param {string} businessId - The ID of the business.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Object>} The business document.
+ * @throws {Error} If the business does not exist or the user may not access its history.
+ */
+const getBusinessForHistory = async (businessId, userId) => {
+   const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+   if (!businessDoc.exists) {
+      throw Error(`Business with ID ${businessId} not found.`);
+   }
+
+   if (businessDoc.data().ownerId !== userId && !await isUserAdmin(userId)) {
+      throw Error("Access to resources is denied for the user.");
+   }
+
+   return businessDoc;
+};
+
+/**
+ * Retrieves the version history of a business, newest first. Only the owner of the business or
+ * an administrator may read it.
+ * @param {Object} request - The incoming request object containing the business ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getBusinessVersions = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      await getBusinessForHistory(businessId, request.user.user_id);
+
+      response.status(200).json(await getVersions("business", businessId));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Lists the fields that changed between two versions of a business.
+ * @param {Object} request - The incoming request object containing the business ID and the
+ * "from" and "to" version numbers as query parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getBusinessVersionDiff = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const { from, to } = request.query;
+
+      if (!isVersionNumber(from) || !isVersionNumber(to)) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      await getBusinessForHistory(businessId, request.user.user_id);
+
+      const fromVersion = await getVersion("business", businessId, Number(from));
+      const toVersion = await getVersion("business", businessId, Number(to));
+
+      response.status(200).json({
+         from: Number(from),
+         to: Number(to),
+         changes: getFieldDiff(fromVersion.fields, toVersion.fields)
+      });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Restores a previous version of a business. The restored fields are saved as a new version,
+ * so that the restore itself can be undone. Only the business owner or an admin may restore, and
+ * the current owner is kept, so that a restore does not undo a claim or merge.
+ * @param {Object} request - The incoming request object containing the business ID and version number.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const restoreBusinessVersion = async (request, response) => {
+   try {
+      const { businessId, version } = request.params;
+
+      if (!isCollectionId(businessId) || !isVersionNumber(version)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const businessDoc = await getBusinessForHistory(businessId, userId);
+
+      const storedVersion = await getVersion("business", businessId, Number(version));
+      const fields = { ...storedVersion.fields, ownerId: businessDoc.data().ownerId };
+      const error = getBusinessError(fields);
+
+      if (error) {
+         throw Error(`Version ${version} can no longer be restored: ${error}`);
+      }
+
+      await saveBusinessUpdate(businessId, fields, userId, Number(version));
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getBusinessVersions,
+   getBusinessVersionDiff,
+   restoreBusinessVersion
+};
\ No newline at end of file
@@ -0,0 +1,273 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const { isUserBusinessOwner } = require("../user-management/user-auth-controller");
+
+/**
+ * Verifies whether an object is a valid business claim request.
+ * @param {Object} claim - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid claim request.
+ */
+const isClaim = (claim) => {
+   const schema = joi.object({
+      message: joi.string().allow(null, "").max(2000).required()
+   });
+
+   return !schema.validate(claim).error;
+};
+
+/**
+ * Verifies whether an object is a valid administrator decision on a claim.
+ * @param {Object} decision - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid decision.
+ */
+const isClaimDecision = (decision) => {
+   const schema = joi.object({
+      status: joi.string().valid("approved", "rejected").required(),
+      reason: joi.string().allow(null, "").max(2000).required()
+   });
+
+   return !schema.validate(decision).error;
+};
+
+/**
+ * Builds an entry of the verification status history of a business.
+ * @param {string} status - The new verification status.
+ * @param {string} userId - The ID of the user who caused the change.
+ * @param {string|null} reason - The reason given for the change.
+ * @returns {Object} The history entry.
+ */
+const getHistoryEntry = (status, userId, reason) => ({
+   status,
+   userId,
+   reason: reason || null,
+   timestamp: Math.floor(new Date() / 1000)
+});
+
+/**
+ * Requests the ownership of a business listing for the authenticated business owner.
+ * @param {Object} request - The incoming request object containing the business ID and claim message.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const claimBusiness = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const newClaim = request.body;
+
+      if (!isClaim(newClaim)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const claimantId = request.user.user_id;
+
+      if (!await isUserBusinessOwner(claimantId)) {
+         throw Error("Only business owners can claim a business.");
+      }
+
+      const businessRef = firestore.collection("business").doc(businessId);
+      const businessDoc = await businessRef.get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      const business = businessDoc.data();
+
+      if (business.isVerified && business.ownerId === claimantId) {
+         throw Error("The business is already verified for this user.");
+      }
+
+      const pendingSnapshot = await firestore
+         .collection("business-claim")
+         .where("businessId", "==", businessId)
+         .where("claimantId", "==", claimantId)
+         .where("status", "==", "pending")
+         .get();
+
+      if (!pendingSnapshot.empty) {
+         throw Error("A claim for this business is already pending.");
+      }
+
+      const claimRef = await firestore.collection("business-claim").add({
+         businessId,
+         claimantId,
+         message: newClaim.message,
+         status: "pending",
+         reason: null,
+         reviewerId: null,
+         timestamp: Math.floor(new Date() / 1000),
+         reviewedTimestamp: null
+      });
+
+      await businessRef.update({
+         verificationHistory: FieldValue.arrayUnion(getHistoryEntry("claimed", claimantId, newClaim.message))
+      });
+
+      response.status(200).json({ claimId: claimRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the business claims, optionally filtered by status, oldest first.
+ * @param {Object} request - The incoming request object containing the optional "status" query parameter.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getBusinessClaims = async (request, response) => {
+   try {
+      const status = request.query.status;
+
+      if (joi.string().valid("pending", "approved", "rejected").validate(status).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let claimQuery = firestore.collection("business-claim");
+
+      if (status) {
+         claimQuery = claimQuery.where("status", "==", status);
+      }
+
+      const querySnapshot = await claimQuery.get();
+
+      const claims = querySnapshot.docs
+         .map(doc => ({ claimId: doc.id, claim: doc.data() }))
+         .sort((a, b) => a.claim.timestamp - b.claim.timestamp);
+
+      response.status(200).json(claims);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Approves or rejects a pending business claim. Approving a claim transfers the ownership
+ * of the listing to the claimant, marks it as verified and rejects the other pending claims.
+ * @param {Object} request - The incoming request object containing the claim ID and decision.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const reviewBusinessClaim = async (request, response) => {
+   try {
+      const claimId = request.params.claimId;
+
+      if (!isCollectionId(claimId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const decision = request.body;
+
+      if (!isClaimDecision(decision)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const reviewerId = request.user.user_id;
+      const claimRef = firestore.collection("business-claim").doc(claimId);
+      const claimDoc = await claimRef.get();
+
+      if (!claimDoc.exists) {
+         throw Error(`Claim with ID ${claimId} not found.`);
+      }
+
+      const claim = claimDoc.data();
+
+      if (claim.status !== "pending") {
+         throw Error("Only pending claims can be reviewed.");
+      }
+
+      const timestamp = Math.floor(new Date() / 1000);
+      const batch = firestore.batch();
+      const businessRef = firestore.collection("business").doc(claim.businessId);
+
+      batch.update(claimRef, {
+         status: decision.status,
+         reason: decision.reason,
+         reviewerId,
+         reviewedTimestamp: timestamp
+      });
+
+      if (decision.status === "approved") {
+         const otherClaimsSnapshot = await firestore
+            .collection("business-claim")
+            .where("businessId", "==", claim.businessId)
+            .where("status", "==", "pending")
+            .get();
+
+         otherClaimsSnapshot.docs
+            .filter(doc => doc.id !== claimId)
+            .forEach(doc => batch.update(doc.ref, {
+               status: "rejected",
+               reason: "Another claim for this business was approved.",
+               reviewerId,
+               reviewedTimestamp: timestamp
+            }));
+
+         batch.update(businessRef, {
+            ownerId: claim.claimantId,
+            isVerified: true,
+            verificationHistory: FieldValue.arrayUnion(getHistoryEntry("verified", reviewerId, decision.reason))
+         });
+      } else {
+         batch.update(businessRef, {
+            verificationHistory: FieldValue.arrayUnion(getHistoryEntry("rejected", reviewerId, decision.reason))
+         });
+      }
+
+      await batch.commit();
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Removes the verified badge of a business.
+ * @param {Object} request - The incoming request object containing the business ID and reason.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const revokeBusinessVerification = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const reason = request.body.reason;
+
+      if (joi.string().max(2000).required().validate(reason).error) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const businessRef = firestore.collection("business").doc(businessId);
+
+      if (!(await businessRef.get()).exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      await businessRef.update({
+         isVerified: false,
+         verificationHistory: FieldValue.arrayUnion(getHistoryEntry("revoked", request.user.user_id, reason))
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   claimBusiness,
+   getBusinessClaims,
+   reviewBusinessClaim,
+   revokeBusinessVerification
+};
\ No newline at end of file
@@ -0,0 +1,267 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const path = require('path');
+const joi = require('joi');
+const {
+   isFilePath,
+   isCollectionId
+} = require("../common-utils/validation-utils");
+const {
+   uploadFileToFolder,
+   findFeatImageFile,
+   copyFile,
+   deleteFile
+} = require("../common-utils/storage-utils");
+
+// Maximum number of images in the gallery of a business
+const maxGallerySize = 30;
+
+/**
+ * Verifies whether a value is a valid gallery image caption.
+ * @param {string|null} caption - The caption to be verified.
+ * @returns {boolean} Returns true if the provided caption is valid.
+ */
+const isCaption = (caption) => {
+   return !joi.string().allow(null, "").max(500).required().validate(caption).error;
+};
+
+/**
+ * Reads the gallery of a business within a transaction and applies a change to it.
+ * @param {string} businessId - The ID of the business.
+ * @param {Function} change - Receives the current gallery and business data, and returns
+ * the fields to update on the business document.
+ * @returns {Promise<Object>} The fields written to the business document.
+ */
+const updateGallery = (businessId, change) => {
+   const businessRef = firestore.collection("business").doc(businessId);
+
+   return firestore.runTransaction(async (transaction) => {
+      const businessDoc = await transaction.get(businessRef);
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      const businessData = businessDoc.data();
+      const update = change([...(businessData.gallery || [])], businessData);
+      transaction.update(businessRef, update);
+
+      return update;
+   });
+};
+
+/**
+ * Finds an image of a gallery by its ID.
+ * @param {Array<Object>} gallery - The gallery of the business.
+ * @param {string} imageId - The ID of the image.
+ * @returns {Object} The gallery image.
+ * @throws {Error} If the image is not part of the gallery.
+ */
+const findGalleryImage = (gallery, imageId) => {
+   const image = gallery.find(item => item.imageId === imageId);
+
+   if (!image) {
+      throw Error('The requested resources could not be found.');
+   }
+
+   return image;
+};
+
+/**
+ * Uploads an image to the end of the gallery of a business.
+ * @param {Object} request - The HTTP request object containing the business ID, local file path and caption.
+ * @param {Object} response - The HTTP response object.
+ */
+const uploadGalleryImage = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const { localFilePath, caption } = request.body;
+
+      if (!isFilePath(localFilePath) || !isCaption(caption)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      if ((businessDoc.data().gallery || []).length >= maxGallerySize) {
+         throw Error(`A business gallery cannot contain more than ${maxGallerySize} images.`);
+      }
+
+      const imageId = firestore.collection("business").doc().id;
+      const fileName = `${imageId}${path.extname(localFilePath)}`;
+      const fileURL = await uploadFileToFolder(`business/${businessId}/gallery`, localFilePath, fileName);
+
+      await updateGallery(businessId, (gallery) => ({
+         gallery: [...gallery, { imageId, fileName, fileURL, caption }]
+      }));
+
+      response.status(200).json({ imageId, fileURL });
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
+/**
+ * Updates the caption of an image of a business gallery.
+ * @param {Object} request - The HTTP request object containing the business ID, image ID and caption.
+ * @param {Object} response - The HTTP response object.
+ */
+const updateGalleryCaption = async (request, response) => {
+   try {
+      const { businessId, imageId } = request.params;
+
+      if (!isCollectionId(businessId) || !isCollectionId(imageId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const caption = request.body.caption;
+
+      if (!isCaption(caption)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      await updateGallery(businessId, (gallery) => {
+         findGalleryImage(gallery, imageId);
+
+         return {
+            gallery: gallery.map(item => item.imageId === imageId ? { ...item, caption } : item)
+         };
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Reorders the gallery of a business.
+ * @param {Object} request - The HTTP request object containing the business ID and the ordered image IDs.
+ * @param {Object} response - The HTTP response object.
+ */
+const reorderGallery = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const imageIds = request.body.imageIds;
+      const schema = joi.array().items(joi.string().alphanum().length(20)).unique().required();
+
+      if (schema.validate(imageIds).error) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      await updateGallery(businessId, (gallery) => {
+         if (imageIds.length !== gallery.length) {
+            throw Error("The new order must list every image of the gallery exactly once.");
+         }
+
+         return { gallery: imageIds.map(imageId => findGalleryImage(gallery, imageId)) };
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Makes an image of the gallery the featured image of a business, replacing the previous one.
+ * @param {Object} request - The HTTP request object containing the business ID and image ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const setFeatGalleryImage = async (request, response) => {
+   try {
+      const { businessId, imageId } = request.params;
+
+      if (!isCollectionId(businessId) || !isCollectionId(imageId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      const image = findGalleryImage(businessDoc.data().gallery || [], imageId);
+
+      try {
+         const featImage = await findFeatImageFile(`business/${businessId}/`);
+         await featImage.delete();
+      } catch (error) {
+         // The business has no featured image yet
+      }
+
+      const featFileName = `${imageId}-feat${path.extname(image.fileName)}`;
+      const fileURL = await copyFile(
+         `business/${businessId}/gallery/${image.fileName}`,
+         `business/${businessId}/${featFileName}`
+      );
+
+      await firestore.collection("business").doc(businessId).update({
+         featuredImageURL: fileURL,
+         featuredImageId: imageId
+      });
+
+      response.status(200).json({ fileURL });
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
+/**
+ * Deletes an image from the gallery of a business.
+ * @param {Object} request - The HTTP request object containing the business ID and image ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const deleteGalleryImage = async (request, response) => {
+   try {
+      const { businessId, imageId } = request.params;
+
+      if (!isCollectionId(businessId) || !isCollectionId(imageId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      let removedImage;
+      await updateGallery(businessId, (gallery, businessData) => {
+         removedImage = findGalleryImage(gallery, imageId);
+
+         const update = { gallery: gallery.filter(item => item.imageId !== imageId) };
+
+         if (businessData.featuredImageId === imageId) {
+            update.featuredImageId = null;
+         }
+
+         return update;
+      });
+
+      await deleteFile(`business/${businessId}/gallery/${removedImage.fileName}`);
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   uploadGalleryImage,
+   updateGalleryCaption,
+   reorderGallery,
+   setFeatGalleryImage,
+   deleteGalleryImage
+};
\ No newline at end of file
@@ -0,0 +1,279 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const {
+   isCollectionId,
+   isUserId
+} = require("../common-utils/validation-utils");
+
+/**
+ * Verifies whether an object is a valid Review.
+ * @param {Object} review - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid Review.
+ */
+const isReview = (review) => {
+   const schema = joi.object({
+      rating: joi.number().integer().min(1).max(5).required(),
+      text: joi.string().allow(null, "").max(2000).required()
+   });
+
+   return !schema.validate(review).error;
+};
+
+/**
+ * Verifies whether an object is a valid owner reply to a review.
+ * @param {Object} reply - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid reply.
+ */
+const isReviewReply = (reply) => {
+   const schema = joi.object({
+      reply: joi.string().max(2000).allow(null).required()
+   });
+
+   return !schema.validate(reply).error;
+};
+
+/**
+ * Returns the reference of the review written by a user about a business.
+ * Reviews are keyed by business and author so that a user can review a business only once.
+ * @param {string} businessId - The ID of the reviewed business.
+ * @param {string} authorId - The ID of the review author.
+ * @returns {Object} The review document reference.
+ */
+const getReviewRef = (businessId, authorId) => {
+   return firestore.collection("business-review").doc(`${businessId}_${authorId}`);
+};
+
+/**
+ * Computes the rating fields of a business after a change of its reviews.
+ * @param {Object} businessData - The current business document data.
+ * @param {number} countChange - The change in the number of reviews.
+ * @param {number} totalChange - The change in the sum of the ratings.
+ * @returns {Object} The updated "ratingCount", "ratingTotal" and "ratingAverage" fields.
+ */
+const getRatingUpdate = (businessData, countChange, totalChange) => {
+   const ratingCount = (businessData.ratingCount || 0) + countChange;
+   const ratingTotal = (businessData.ratingTotal || 0) + totalChange;
+   const ratingAverage = ratingCount > 0 ? Math.round(ratingTotal / ratingCount * 100) / 100 : 0;
+
+   return { ratingCount, ratingTotal, ratingAverage };
+};
+
+/**
+ * Adds the authenticated user's review of a business and updates the business rating.
+ * @param {Object} request - The incoming request object containing the business ID and review.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const addNewReview = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const newReview = request.body;
+
+      if (!isReview(newReview)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const authorId = request.user.user_id;
+      const businessRef = firestore.collection("business").doc(businessId);
+      const reviewRef = getReviewRef(businessId, authorId);
+
+      await firestore.runTransaction(async (transaction) => {
+         const businessDoc = await transaction.get(businessRef);
+
+         if (!businessDoc.exists) {
+            throw Error(`Business with ID ${businessId} not found.`);
+         }
+
+         if (businessDoc.data().ownerId === authorId) {
+            throw Error("Business owners cannot review their own business.");
+         }
+
+         const reviewDoc = await transaction.get(reviewRef);
+
+         if (reviewDoc.exists) {
+            throw Error("The user has already reviewed this business.");
+         }
+
+         transaction.set(reviewRef, {
+            businessId,
+            authorId,
+            rating: newReview.rating,
+            text: newReview.text,
+            reply: null,
+            timestamp: Math.floor(new Date() / 1000)
+         });
+         transaction.update(businessRef, getRatingUpdate(businessDoc.data(), 1, newReview.rating));
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Updates the authenticated user's review of a business and the business rating.
+ * @param {Object} request - The incoming request object containing the business ID and review.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const updateReview = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const reviewUpdate = request.body;
+
+      if (!isReview(reviewUpdate)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const businessRef = firestore.collection("business").doc(businessId);
+      const reviewRef = getReviewRef(businessId, request.user.user_id);
+
+      await firestore.runTransaction(async (transaction) => {
+         const businessDoc = await transaction.get(businessRef);
+         const reviewDoc = await transaction.get(reviewRef);
+
+         if (!businessDoc.exists || !reviewDoc.exists) {
+            throw Error("The requested review could not be found.");
+         }
+
+         const ratingChange = reviewUpdate.rating - reviewDoc.data().rating;
+
+         transaction.update(reviewRef, {
+            rating: reviewUpdate.rating,
+            text: reviewUpdate.text,
+            editedTimestamp: Math.floor(new Date() / 1000)
+         });
+         transaction.update(businessRef, getRatingUpdate(businessDoc.data(), 0, ratingChange));
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Deletes the authenticated user's review of a business and updates the business rating.
+ * @param {Object} request - The incoming request object containing the business ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const deleteReview = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const businessRef = firestore.collection("business").doc(businessId);
+      const reviewRef = getReviewRef(businessId, request.user.user_id);
+
+      await firestore.runTransaction(async (transaction) => {
+         const businessDoc = await transaction.get(businessRef);
+         const reviewDoc = await transaction.get(reviewRef);
+
+         if (!businessDoc.exists || !reviewDoc.exists) {
+            throw Error("The requested review could not be found.");
+         }
+
+         transaction.delete(reviewRef);
+         transaction.update(businessRef, getRatingUpdate(businessDoc.data(), -1, -reviewDoc.data().rating));
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Sets or removes the business owner's reply to a review.
+ * @param {Object} request - The incoming request object containing the business ID, author ID and reply.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const replyToReview = async (request, response) => {
+   try {
+      const { businessId, authorId } = request.params;
+
+      if (!isCollectionId(businessId) || !isUserId(authorId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      if (!isReviewReply(request.body)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const businessDoc = await firestore.collection("business").doc(businessId).get();
+
+      if (!businessDoc.exists) {
+         throw Error(`Business with ID ${businessId} not found.`);
+      }
+
+      if (businessDoc.data().ownerId !== request.user.user_id) {
+         throw Error("Access to resources is denied for the user.");
+      }
+
+      const reviewRef = getReviewRef(businessId, authorId);
+
+      if (!(await reviewRef.get()).exists) {
+         throw Error("The requested review could not be found.");
+      }
+
+      await reviewRef.update({
+         reply: request.body.reply,
+         replyTimestamp: request.body.reply ? Math.floor(new Date() / 1000) : null
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the reviews of a business, newest first.
+ * @param {Object} request - The incoming request object containing the business ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getBusinessReviews = async (request, response) => {
+   try {
+      const businessId = request.params.businessId;
+
+      if (!isCollectionId(businessId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const querySnapshot = await firestore
+         .collection("business-review")
+         .where("businessId", "==", businessId)
+         .get();
+
+      const reviews = querySnapshot.docs
+         .map(doc => ({ reviewId: doc.id, review: doc.data() }))
+         .sort((a, b) => b.review.timestamp - a.review.timestamp);
+
+      response.status(200).json(reviews);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   addNewReview,
+   updateReview,
+   deleteReview,
+   replyToReview,
+   getBusinessReviews
+};
\ No newline at end of file
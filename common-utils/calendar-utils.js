@@ -0,0 +1,93 @@
+/**
+ * Escapes a text value according to the iCalendar (RFC 5545) rules.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeText = (text) => {
+   return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Folds a content line so that no line is longer than 75 octets, as required by RFC 5545.
+ * @param {string} line - The content line to fold.
+ * @returns {string} The folded content line.
+ */
+const foldLine = (line) => {
+   const chunks = [];
+   let rest = line;
+
+   while (Buffer.byteLength(rest) > 75) {
+      let length = 75;
+      while (Buffer.byteLength(rest.slice(0, length)) > 75) {
+         length--;
+      }
+
+      chunks.push(rest.slice(0, length));
+      rest = ` ${rest.slice(length)}`;
+   }
+
+   chunks.push(rest);
+   return chunks.join('\r\n');
+};
+
+/**
+ * Formats a "YYYY-MM-DD" date and an optional "HH:MM" time as an iCalendar date or date-time value.
+ * @param {string} date - The date string.
+ * @param {string} [time] - The time string.
+ * @returns {string} The iCalendar value, e.g. "20231225" or "20231225T093000".
+ */
+const formatDateTime = (date, time) => {
+   const value = date.replace(/-/g, '');
+   return time ? `${value}T${time.replace(':', '')}00` : value;
+};
+
+/**
+ * Builds an iCalendar (.ics) document from a list of events.
+ * @param {string} calendarId - A unique identifier of the calendar, used to build event UIDs.
+ * @param {string} calendarName - The display name of the calendar.
+ * @param {Array<Object>} events - The events, each with an "id", a "summary" and a list of
+ * additional "properties" lines (DTSTART, DTEND, RRULE...).
+ * @returns {string} The iCalendar document.
+ */
+const buildCalendar = (calendarId, calendarName, events) => {
+   const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+   const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Auzy//Business Directory//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeText(calendarName)}`
+   ];
+
+   events.forEach((event) => {
+      lines.push(
+         'BEGIN:VEVENT',
+         `UID:${event.id}@${calendarId}`,
+         `DTSTAMP:${stamp}`,
+         `SUMMARY:${escapeText(event.summary)}`,
+         ...event.properties
+      );
+
+      if (event.description) {
+         lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+
+      lines.push('END:VEVENT');
+   });
+
+   lines.push('END:VCALENDAR');
+
+   return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Export functions
+module.exports = {
+   escapeText,
+   formatDateTime,
+   buildCalendar
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Parses a CSV (RFC 4180) document into records, using its first line as the header.
+ * Quoted values may contain commas, double quotes ("") and line breaks.
+ * @param {string} text - The CSV document.
+ * @returns {Array<Object>} The records, keyed by header name.
+ * @throws {Error} If the document has an unterminated quoted value.
+ */
+const parseCsv = (text) => {
+   const rows = [];
+   let row = [];
+   let value = '';
+   let isQuoted = false;
+
+   for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (isQuoted) {
+         if (char === '"' && text[index + 1] === '"') {
+            value += '"';
+            index++;
+         } else if (char === '"') {
+            isQuoted = false;
+         } else {
+            value += char;
+         }
+      } else if (char === '"') {
+         isQuoted = true;
+      } else if (char === ',') {
+         row.push(value);
+         value = '';
+      } else if (char === '\n' || char === '\r') {
+         if (char === '\r' && text[index + 1] === '\n') {
+            index++;
+         }
+
+         row.push(value);
+         rows.push(row);
+         row = [];
+         value = '';
+      } else {
+         value += char;
+      }
+   }
+
+   if (isQuoted) {
+      throw Error('The CSV document contains an unterminated quoted value.');
+   }
+
+   if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+   }
+
+   const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+
+   return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index] ?? ''])));
+};
+
+/**
+ * Serializes records into a CSV (RFC 4180) document.
+ * @param {Array<Object>} records - The records to serialize.
+ * @param {Array<string>} columns - The record keys to write, in order, used as the header.
+ * @returns {string} The CSV document.
+ */
+const toCsv = (records, columns) => {
+   const escapeValue = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+   };
+
+   const lines = [columns.map(escapeValue).join(',')];
+   records.forEach(record => lines.push(columns.map(column => escapeValue(record[column])).join(',')));
+
+   return lines.join('\r\n') + '\r\n';
+};
+
+// Export functions
+module.exports = {
+   parseCsv,
+   toCsv
+}
\ No newline at end of file
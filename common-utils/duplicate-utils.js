@@ -0,0 +1,208 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const {
+   normalizeText,
+   getEditDistance,
+   searchIndex
+} = require("./search-utils");
+const { getDistance } = require("./geo-utils");
+
+// Minimum name similarity for two businesses to be suspected duplicates
+const nameSimilarityThreshold = 0.85;
+
+// Minimum address similarity counted as a matching address
+const addressSimilarityThreshold = 0.8;
+
+// Maximum distance, in kilometres, counted as a matching location
+const nearbyDistanceKm = 0.1;
+
+// Maximum number of search candidates compared with a new business
+const maxCandidates = 20;
+
+/**
+ * Scores how similar two texts are once normalized, ignoring spacing and the order of words.
+ * @param {string|null} first - The first text.
+ * @param {string|null} second - The second text.
+ * @returns {number} A similarity between 0 (unrelated or missing) and 1 (identical).
+ */
+const getTextSimilarity = (first, second) => {
+   const getRatio = (firstText, secondText) => {
+      return 1 - getEditDistance(firstText, secondText) / Math.max(firstText.length, secondText.length);
+   };
+   const firstWords = normalizeText(first).split(' ');
+   const secondWords = normalizeText(second).split(' ');
+
+   if (!firstWords.join('') || !secondWords.join('')) {
+      return 0;
+   }
+
+   return Math.max(
+      getRatio(firstWords.join(''), secondWords.join('')),
+      getRatio([...firstWords].sort().join(' '), [...secondWords].sort().join(' '))
+   );
+};
+
+/**
+ * Returns the significant digits of the phone numbers of a business, ignoring formatting
+ * and country prefixes.
+ * @param {Object} business - The business data.
+ * @returns {Array<string>} The last nine digits of each phone number.
+ */
+const getPhoneKeys = (business) => {
+   return [business.phoneNumber, business.phoneNumberSecondary]
+      .map(phone => String(phone || '').replace(/\D/g, '').slice(-9))
+      .filter(digits => digits.length >= 6);
+};
+
+/**
+ * Compares two businesses and tells whether they look like the same listing. Two businesses
+ * are suspected duplicates when their names are similar and they share a city, an address,
+ * a phone number or a location.
+ * @param {Object} first - The data of the first business.
+ * @param {Object} second - The data of the second business.
+ * @returns {Object|null} The similarity score and matching fields, or null if not duplicates.
+ */
+const compareBusinesses = (first, second) => {
+   const nameSimilarity = getTextSimilarity(first.name, second.name);
+
+   if (nameSimilarity < nameSimilarityThreshold) {
+      return null;
+   }
+
+   const reasons = ["name"];
+
+   if (normalizeText(first.city) && normalizeText(first.city) === normalizeText(second.city)) {
+      reasons.push("city");
+   }
+
+   if (getTextSimilarity(first.address, second.address) >= addressSimilarityThreshold) {
+      reasons.push("address");
+   }
+
+   if (getPhoneKeys(first).some(key => getPhoneKeys(second).includes(key))) {
+      reasons.push("phone");
+   }
+
+   if (first.location && second.location && getDistance(
+      first.location.latitude, first.location.longitude,
+      second.location.latitude, second.location.longitude
+   ) <= nearbyDistanceKm) {
+      reasons.push("location");
+   }
+
+   if (reasons.length === 1) {
+      return null;
+   }
+
+   const score = Math.min(1, nameSimilarity * 0.6 + (reasons.length - 1) * 0.15);
+
+   return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Finds the existing businesses that look like duplicates of a business. Candidates are the
+ * best search matches for its name and the businesses sharing one of its phone numbers.
+ * @param {Object} business - The business data.
+ * @param {string} [businessId] - The ID of the business itself, excluded from the results.
+ * @returns {Promise<Array<Object>>} The suspected duplicates, most similar first.
+ * @throws {Error} If an error occurs while querying the candidates.
+ */
+const findDuplicateBusinesses = async (business, businessId) => {
+   try {
+      const searchResults = await searchIndex("business", business.name);
+      const candidateIds = new Set(searchResults.slice(0, maxCandidates).map(result => result.id));
+
+      const phoneSnapshots = await Promise.all(
+         [business.phoneNumber, business.phoneNumberSecondary]
+            .filter(phone => phone)
+            .map(phone => firestore.collection("business").where("phoneNumber", "==", phone).get())
+      );
+
+      phoneSnapshots.forEach(snapshot => snapshot.docs.forEach(doc => candidateIds.add(doc.id)));
+      candidateIds.delete(businessId);
+
+      const candidateDocs = await Promise.all([...candidateIds].map(candidateId => {
+         return firestore.collection("business").doc(candidateId).get();
+      }));
+
+      return candidateDocs
+         .filter(doc => doc.exists)
+         .map(doc => ({ businessId: doc.id, ...compareBusinesses(business, doc.data()) }))
+         .filter(match => match.reasons)
+         .sort((a, b) => b.score - a.score);
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Groups businesses into clusters of suspected duplicates. Only businesses sharing a city,
+ * a phone number or a rough location are compared, to keep the number of comparisons low.
+ * @param {Array<Object>} businesses - The businesses, as objects with "businessId" and "business".
+ * @returns {Array<Object>} The clusters of two or more businesses with their matching pairs.
+ */
+const getDuplicateClusters = (businesses) => {
+   const blocks = new Map();
+   const addToBlock = (key, index) => blocks.set(key, [...(blocks.get(key) || []), index]);
+
+   businesses.forEach(({ business }, index) => {
+      if (normalizeText(business.city)) {
+         addToBlock(`city:${normalizeText(business.city)}`, index);
+      }
+
+      getPhoneKeys(business).forEach(key => addToBlock(`phone:${key}`, index));
+
+      if (business.location && business.location.geohash) {
+         addToBlock(`geohash:${business.location.geohash.slice(0, 6)}`, index);
+      }
+   });
+
+   const parents = businesses.map((item, index) => index);
+   const findRoot = (index) => parents[index] === index ? index : (parents[index] = findRoot(parents[index]));
+   const pairs = new Map();
+
+   blocks.forEach((indexes) => {
+      for (let i = 0; i < indexes.length; i++) {
+         for (let j = i + 1; j < indexes.length; j++) {
+            const pairKey = `${indexes[i]}:${indexes[j]}`;
+
+            if (pairs.has(pairKey)) {
+               continue;
+            }
+
+            const match = compareBusinesses(businesses[indexes[i]].business, businesses[indexes[j]].business);
+
+            if (match) {
+               pairs.set(pairKey, {
+                  businessIds: [businesses[indexes[i]].businessId, businesses[indexes[j]].businessId],
+                  ...match
+               });
+               parents[findRoot(indexes[j])] = findRoot(indexes[i]);
+            }
+         }
+      }
+   });
+
+   const clusters = new Map();
+
+   pairs.forEach((pair, pairKey) => {
+      const root = findRoot(Number(pairKey.split(':')[0]));
+      const cluster = clusters.get(root) || { businessIds: new Set(), pairs: [] };
+
+      pair.businessIds.forEach(id => cluster.businessIds.add(id));
+      cluster.pairs.push(pair);
+      clusters.set(root, cluster);
+   });
+
+   return [...clusters.values()]
+      .map(cluster => ({ businessIds: [...cluster.businessIds], pairs: cluster.pairs }))
+      .sort((a, b) => Math.max(...b.pairs.map(pair => pair.score)) - Math.max(...a.pairs.map(pair => pair.score)));
+};
+
+// Export functions
+module.exports = {
+   compareBusinesses,
+   findDuplicateBusinesses,
+   getDuplicateClusters
+}
\ No newline at end of file
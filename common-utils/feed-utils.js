@@ -0,0 +1,141 @@
+// Import necessary modules and dependencies
+const path = require('path');
+
+// Media types of the image files that can be attached to feed entries
+const imageTypes = {
+   '.jpg': 'image/jpeg',
+   '.jpeg': 'image/jpeg',
+   '.png': 'image/png',
+   '.gif': 'image/gif',
+   '.webp': 'image/webp'
+};
+
+/**
+ * Escapes a text for use in XML content or attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text) => {
+   return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+};
+
+/**
+ * Returns the media type of an image from its URL, ignoring any query string.
+ * @param {string} imageURL - The URL of the image.
+ * @returns {string} The media type, "image/jpeg" when the extension is unknown.
+ */
+const getImageType = (imageURL) => {
+   try {
+      return imageTypes[path.extname(new URL(imageURL).pathname).toLowerCase()] || 'image/jpeg';
+   } catch (error) {
+      return 'image/jpeg';
+   }
+};
+
+/**
+ * Builds an RSS 2.0 document.
+ * @param {Object} feed - The feed, with "title", "description", "link", "selfURL" and "updated" (a Date).
+ * @param {Array<Object>} entries - The entries, each with "id", "title", "summary", "link",
+ * "author", "published" (a Date) and an optional "imageURL".
+ * @returns {string} The RSS document.
+ */
+const buildRss = (feed, entries) => {
+   const items = entries.map(entry => [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(entry.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `      <description>${escapeXml(entry.summary)}</description>`,
+      entry.author ? `      <dc:creator>${escapeXml(entry.author)}</dc:creator>` : null,
+      `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+      entry.imageURL
+         ? `      <enclosure url="${escapeXml(entry.imageURL)}" type="${getImageType(entry.imageURL)}" length="0"/>`
+         : null,
+      '    </item>'
+   ].filter(line => line !== null).join('\n'));
+
+   return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.link)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link href="${escapeXml(feed.selfURL)}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+      ...items,
+      '  </channel>',
+      '</rss>'
+   ].join('\n');
+};
+
+/**
+ * Builds an Atom (RFC 4287) document.
+ * @param {Object} feed - The feed, with "id", "title", "description", "link", "selfURL" and "updated" (a Date).
+ * @param {Array<Object>} entries - The entries, each with "id", "title", "summary", "link",
+ * "author", "published" (a Date), "updated" (a Date) and an optional "imageURL".
+ * @returns {string} The Atom document.
+ */
+const buildAtom = (feed, entries) => {
+   const items = entries.map(entry => [
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+      `    <summary>${escapeXml(entry.summary)}</summary>`,
+      `    <author><name>${escapeXml(entry.author || 'Unknown author')}</name></author>`,
+      `    <published>${entry.published.toISOString()}</published>`,
+      `    <updated>${entry.updated.toISOString()}</updated>`,
+      entry.imageURL
+         ? `    <link rel="enclosure" href="${escapeXml(entry.imageURL)}" type="${getImageType(entry.imageURL)}"/>`
+         : null,
+      '  </entry>'
+   ].filter(line => line !== null).join('\n'));
+
+   return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(feed.id)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <link rel="alternate" href="${escapeXml(feed.link)}"/>`,
+      `  <link rel="self" href="${escapeXml(feed.selfURL)}"/>`,
+      `  <updated>${feed.updated.toISOString()}</updated>`,
+      ...items,
+      '</feed>'
+   ].join('\n');
+};
+
+/**
+ * Builds a sitemap document (sitemaps.org protocol 0.9).
+ * @param {Array<Object>} urls - The URLs, each with "link" and an optional "updated" (a Date).
+ * @returns {string} The sitemap document.
+ */
+const buildSitemap = (urls) => {
+   const items = urls.map(url => [
+      '  <url>',
+      `    <loc>${escapeXml(url.link)}</loc>`,
+      url.updated ? `    <lastmod>${url.updated.toISOString()}</lastmod>` : null,
+      '  </url>'
+   ].filter(line => line !== null).join('\n'));
+
+   return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...items,
+      '</urlset>'
+   ].join('\n');
+};
+
+// Export functions
+module.exports = {
+   escapeXml,
+   buildRss,
+   buildAtom,
+   buildSitemap
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Maximum number of writes allowed in a single Firestore batch
+const batchSize = 500;
+
+/**
+ * Deletes every document matched by a Firestore query, in batches.
+ * @param {Object} firestore - The Firestore instance the query belongs to.
+ * @param {Object} query - The query matching the documents to delete.
+ * @returns {Promise<number>} The number of deleted documents.
+ * @throws {Error} If an error occurs during the deletion process.
+ */
+const deleteQueryDocuments = async (firestore, query) => {
+   try {
+      const snapshot = await query.get();
+
+      for (let index = 0; index < snapshot.docs.length; index += batchSize) {
+         const batch = firestore.batch();
+         snapshot.docs.slice(index, index + batchSize).forEach(doc => batch.delete(doc.ref));
+         await batch.commit();
+      }
+
+      return snapshot.size;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+// Export functions
+module.exports = {
+   batchSize,
+   deleteQueryDocuments
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Alphabet used by the geohash base32 encoding
+const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Mean radius of the Earth in kilometres
+const earthRadius = 6371;
+
+// Length of one degree of latitude in kilometres
+const degreeLength = earthRadius * Math.PI / 180;
+
+// Longest geohash precision used for searching
+const maxPrecision = 8;
+
+/**
+ * Encodes a coordinate into a geohash string.
+ * @param {number} latitude - The latitude of the coordinate.
+ * @param {number} longitude - The longitude of the coordinate.
+ * @param {number} [precision=9] - The number of characters of the geohash.
+ * @returns {string} The geohash of the coordinate.
+ */
+const encodeGeohash = (latitude, longitude, precision = 9) => {
+   const latRange = [-90, 90];
+   const lonRange = [-180, 180];
+   let geohash = '';
+   let bits = 0;
+   let bitCount = 0;
+   let isLongitude = true;
+
+   while (geohash.length < precision) {
+      const range = isLongitude ? lonRange : latRange;
+      const value = isLongitude ? longitude : latitude;
+      const middle = (range[0] + range[1]) / 2;
+
+      bits <<= 1;
+      if (value >= middle) {
+         bits |= 1;
+         range[0] = middle;
+      } else {
+         range[1] = middle;
+      }
+
+      isLongitude = !isLongitude;
+
+      if (++bitCount === 5) {
+         geohash += base32[bits];
+         bits = 0;
+         bitCount = 0;
+      }
+   }
+
+   return geohash;
+};
+
+/**
+ * Decodes a geohash string into the bounds of the cell it represents.
+ * @param {string} geohash - The geohash to decode.
+ * @returns {Object} The latitude and longitude ranges of the cell.
+ */
+const decodeGeohash = (geohash) => {
+   const latRange = [-90, 90];
+   const lonRange = [-180, 180];
+   let isLongitude = true;
+
+   for (const char of geohash) {
+      const bits = base32.indexOf(char);
+
+      for (let bit = 4; bit >= 0; bit--) {
+         const range = isLongitude ? lonRange : latRange;
+         const middle = (range[0] + range[1]) / 2;
+
+         if ((bits >> bit) & 1) {
+            range[0] = middle;
+         } else {
+            range[1] = middle;
+         }
+
+         isLongitude = !isLongitude;
+      }
+   }
+
+   return { latRange, lonRange };
+};
+
+/**
+ * Returns the geohash of a cell together with its eight surrounding cells.
+ * @param {string} geohash - The geohash of the centre cell.
+ * @returns {Array<string>} The distinct geohashes covering the centre cell and its neighbours.
+ */
+const getGeohashArea = (geohash) => {
+   const { latRange, lonRange } = decodeGeohash(geohash);
+   const latStep = latRange[1] - latRange[0];
+   const lonStep = lonRange[1] - lonRange[0];
+   const latCentre = (latRange[0] + latRange[1]) / 2;
+   const lonCentre = (lonRange[0] + lonRange[1]) / 2;
+
+   const cells = new Set();
+   for (const latOffset of [-1, 0, 1]) {
+      for (const lonOffset of [-1, 0, 1]) {
+         const latitude = latCentre + latOffset * latStep;
+
+         if (latitude < -90 || latitude > 90) {
+            continue;
+         }
+
+         let longitude = lonCentre + lonOffset * lonStep;
+         if (longitude > 180) longitude -= 360;
+         if (longitude < -180) longitude += 360;
+
+         cells.add(encodeGeohash(latitude, longitude, geohash.length));
+      }
+   }
+
+   return [...cells];
+};
+
+/**
+ * Returns the size of the geohash cells of a precision. Each character adds five bits,
+ * alternately splitting longitude and latitude, longitude first.
+ * @param {number} precision - The geohash precision.
+ * @returns {Object} The "height" and the "width" at the equator of a cell, in kilometres.
+ */
+const getCellSize = (precision) => {
+   const lonBits = Math.ceil(precision * 5 / 2);
+   const latBits = Math.floor(precision * 5 / 2);
+
+   return {
+      height: 180 / 2 ** latBits * degreeLength,
+      width: 360 / 2 ** lonBits * degreeLength
+   };
+};
+
+/**
+ * Picks the longest geohash precision whose cells are still larger than the given radius in
+ * both directions, so that a cell and its neighbours always cover a circle of that radius.
+ * Cells narrow with the cosine of the latitude, so their width is taken at the edge of the
+ * circle furthest from the equator.
+ * @param {number} radius - The search radius in kilometres.
+ * @param {number} latitude - The latitude of the centre of the search.
+ * @returns {number} The geohash precision to search with.
+ */
+const getGeohashPrecision = (radius, latitude) => {
+   const edgeLatitude = Math.min(90, Math.abs(latitude) + radius / degreeLength);
+   const widthScale = Math.cos(edgeLatitude * Math.PI / 180);
+   const coversRadius = (precision) => {
+      const { height, width } = getCellSize(precision);
+      return Math.min(height, width * widthScale) >= radius;
+   };
+
+   let precision = 1;
+   while (precision < maxPrecision && coversRadius(precision + 1)) {
+      precision++;
+   }
+
+   return precision;
+};
+
+/**
+ * Computes the great-circle distance between two coordinates using the haversine formula.
+ * @param {number} latitudeA - The latitude of the first coordinate.
+ * @param {number} longitudeA - The longitude of the first coordinate.
+ * @param {number} latitudeB - The latitude of the second coordinate.
+ * @param {number} longitudeB - The longitude of the second coordinate.
+ * @returns {number} The distance in kilometres.
+ */
+const getDistance = (latitudeA, longitudeA, latitudeB, longitudeB) => {
+   const toRadians = (degrees) => degrees * Math.PI / 180;
+   const latDelta = toRadians(latitudeB - latitudeA);
+   const lonDelta = toRadians(longitudeB - longitudeA);
+
+   const haversine = Math.sin(latDelta / 2) ** 2 +
+      Math.cos(toRadians(latitudeA)) * Math.cos(toRadians(latitudeB)) * Math.sin(lonDelta / 2) ** 2;
+
+   return 2 * earthRadius * Math.asin(Math.sqrt(haversine));
+};
+
+// Export functions
+module.exports = {
+   encodeGeohash,
+   decodeGeohash,
+   getGeohashArea,
+   getGeohashPrecision,
+   getDistance
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+// Import necessary modules and dependencies
+const MarkdownIt = require('markdown-it');
+
+// Raw HTML is escaped rather than rendered, so that no script or markup can be injected
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+// Prefix of the links and images that point to a file of the post's storage folder
+const storagePrefix = 'storage:';
+
+// Average reading speed, in words per minute
+const wordsPerMinute = 200;
+
+// Maximum length of an excerpt, in characters
+const excerptLength = 200;
+
+/**
+ * Accepts only web, mail and storage links, and relative links within the page.
+ * @param {string} url - The normalized link.
+ * @returns {boolean} Returns true if the link may be rendered.
+ */
+markdown.validateLink = (url) => {
+   return /^(?:https?:|mailto:|#)/i.test(url) || /^storage:[\w.-]+$/.test(url);
+};
+
+/**
+ * Opens external links without giving the target page access to the post page.
+ */
+markdown.renderer.rules.link_open = (tokens, index, options, env, self) => {
+   tokens[index].attrSet('rel', 'nofollow noopener noreferrer');
+   tokens[index].attrSet('target', '_blank');
+
+   return self.renderToken(tokens, index, options);
+};
+
+/**
+ * Returns every token of a parsed document, including the nested inline ones. The alternative
+ * text of images is left out, as it is not part of the running text.
+ * @param {Array<Object>} tokens - The block tokens of the document.
+ * @returns {Array<Object>} The flattened tokens.
+ */
+const getInlineTokens = (tokens) => {
+   return tokens.flatMap(token => {
+      return token.children && token.type !== 'image' ? [token, ...getInlineTokens(token.children)] : [token];
+   });
+};
+
+/**
+ * Builds a plain-text excerpt of a document, cut at a word boundary. Inline markup does not
+ * split words; line breaks and the ends of blocks separate them.
+ * @param {Array<Object>} inlineTokens - The inline tokens of the document.
+ * @returns {string} The excerpt.
+ */
+const getExcerpt = (inlineTokens) => {
+   const text = inlineTokens
+      .map((token) => {
+         if (token.type === 'softbreak' || token.type === 'hardbreak' || (token.block && token.nesting === -1)) {
+            return ' ';
+         }
+
+         return token.type === 'text' || token.type === 'code_inline' ? token.content : '';
+      })
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+   if (text.length <= excerptLength) {
+      return text;
+   }
+
+   const cut = text.slice(0, excerptLength + 1);
+   return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : excerptLength)}…`;
+};
+
+/**
+ * Renders a Markdown document into sanitized HTML, with a plain-text excerpt and reading time.
+ * Links and images written as "storage:file-name.png" are resolved into the URL of a file
+ * uploaded alongside the document.
+ * @param {string|null} source - The Markdown source.
+ * @param {Function} resolveFileURL - Receives a storage file name and returns a promise of its URL.
+ * @returns {Promise<Object>} The "contentHTML", "excerpt" and "readingTime" (in minutes) of the document.
+ * @throws {Error} If a referenced storage file cannot be found.
+ */
+const renderMarkdown = async (source, resolveFileURL) => {
+   if (!source) {
+      return { contentHTML: "", excerpt: "", readingTime: 0 };
+   }
+
+   const env = {};
+   const tokens = markdown.parse(source, env);
+   const inlineTokens = getInlineTokens(tokens);
+
+   const fileTokens = inlineTokens
+      .map(token => ({ token, attribute: token.type === 'image' ? 'src' : 'href' }))
+      .filter(({ token, attribute }) => String(token.attrGet(attribute)).startsWith(storagePrefix));
+
+   const fileNames = [...new Set(fileTokens.map(({ token, attribute }) => {
+      return token.attrGet(attribute).slice(storagePrefix.length);
+   }))];
+
+   const fileURLs = new Map(await Promise.all(fileNames.map(async (fileName) => {
+      try {
+         return [fileName, await resolveFileURL(fileName)];
+      } catch (error) {
+         throw Error(`The file "${fileName}" referenced by the content could not be found.`);
+      }
+   })));
+
+   fileTokens.forEach(({ token, attribute }) => {
+      token.attrSet(attribute, fileURLs.get(token.attrGet(attribute).slice(storagePrefix.length)));
+   });
+
+   const wordCount = source.split(/\s+/).filter(word => /\w/.test(word)).length;
+
+   return {
+      contentHTML: markdown.renderer.render(tokens, markdown.options, env),
+      excerpt: getExcerpt(inlineTokens),
+      readingTime: Math.max(1, Math.ceil(wordCount / wordsPerMinute))
+   };
+};
+
+// Export functions
+module.exports = {
+   renderMarkdown
+}
\ No newline at end of file
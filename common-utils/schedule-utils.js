@@ -0,0 +1,219 @@
+// Names of the week days, indexed the same way as Date.prototype.getUTCDay()
+const daysOfWeek = [
+   'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
+];
+
+// Time zone used for businesses that do not specify one
+const defaultTimeZone = 'UTC';
+
+// Number of minutes before closing time from which a business is reported as closing soon
+const closingSoonMinutes = 30;
+
+// Number of minutes in a day
+const dayMinutes = 24 * 60;
+
+/**
+ * Converts a "HH:MM" time string into the number of minutes since midnight.
+ * @param {string} time - The time string to convert.
+ * @returns {number} The number of minutes since midnight.
+ */
+const toMinutes = (time) => {
+   const [hours, minutes] = time.split(':').map(Number);
+   return hours * 60 + minutes;
+};
+
+/**
+ * Converts a number of minutes since midnight into a "HH:MM" time string.
+ * @param {number} minutes - The number of minutes since midnight.
+ * @returns {string} The formatted time string.
+ */
+const toTimeString = (minutes) => {
+   const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+   const rest = String(minutes % 60).padStart(2, '0');
+   return `${hours}:${rest}`;
+};
+
+/**
+ * Returns the week day name of a "YYYY-MM-DD" date string.
+ * @param {string} date - The date string.
+ * @returns {string} The name of the week day, e.g. "Monday".
+ */
+const getDayName = (date) => {
+   return daysOfWeek[new Date(`${date}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Finds the time table entry of a given week day.
+ * @param {Array<Object>} timeTable - The business time table.
+ * @param {string} dayName - The name of the week day.
+ * @returns {Object|null} The matching entry, or null if the day is not listed.
+ */
+const getDaySchedule = (timeTable, dayName) => {
+   return (timeTable || []).find(entry => entry.day === dayName) || null;
+};
+
+/**
+ * Shifts a "YYYY-MM-DD" date string by a number of days.
+ * @param {string} date - The date string.
+ * @param {number} days - The number of days to add, may be negative.
+ * @returns {string} The shifted date string.
+ */
+const addDays = (date, days) => {
+   const shifted = new Date(`${date}T00:00:00Z`);
+   shifted.setUTCDate(shifted.getUTCDate() + days);
+   return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Expresses an instant as a local date and time in the given time zone.
+ * @param {Date} instant - The instant to convert.
+ * @param {string} [timeZone] - The IANA time zone name.
+ * @returns {Object} The local "YYYY-MM-DD" date and the minutes elapsed since local midnight.
+ */
+const getLocalDateTime = (instant, timeZone = defaultTimeZone) => {
+   const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || defaultTimeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+   }).formatToParts(instant).reduce((values, part) => {
+      values[part.type] = part.value;
+      return values;
+   }, {});
+
+   return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+   };
+};
+
+/**
+ * Finds the dated exception (closure or special hours) of a given date.
+ * @param {Array<Object>} exceptions - The business opening hours exceptions.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {Object|null} The matching exception, or null if the date follows the time table.
+ */
+const getDateException = (exceptions, date) => {
+   return (exceptions || []).find(entry => entry.date === date) || null;
+};
+
+/**
+ * Returns the opening intervals that start on a given date, honouring the business's dated
+ * exceptions before its weekly time table. Overnight hours, whose finish time is not after
+ * their commence time, end on the following day, past the 1440th minute.
+ * @param {Object} business - The business data containing its time table and exceptions.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {Array<Object>} The intervals, as start and end minutes relative to the date's midnight.
+ */
+const getOpenIntervals = (business, date) => {
+   const schedule = getDateException(business.exceptions, date)
+      || getDaySchedule(business.timeTable, getDayName(date));
+
+   if (!schedule || !schedule.isOpen || !schedule.commence || !schedule.finish) {
+      return [];
+   }
+
+   const start = toMinutes(schedule.commence);
+   let end = toMinutes(schedule.finish);
+
+   if (end <= start) {
+      end += dayMinutes;
+   }
+
+   return [{ start, end }];
+};
+
+/**
+ * Returns the opening intervals overlapping a given date, including the overnight
+ * part of the previous day's hours.
+ * @param {Object} business - The business data containing its time table and exceptions.
+ * @param {string} date - The "YYYY-MM-DD" date.
+ * @returns {Array<Object>} The intervals, as start and end minutes relative to the date's midnight.
+ */
+const getDayIntervals = (business, date) => {
+   const previousDay = getOpenIntervals(business, addDays(date, -1))
+      .map(({ start, end }) => ({ start: start - dayMinutes, end: end - dayMinutes }))
+      .filter(({ end }) => end > 0);
+
+   return [...previousDay, ...getOpenIntervals(business, date)];
+};
+
+/**
+ * Derives the bookable time slots of a date from a business's opening hours.
+ * @param {Object} business - The business data containing its time table and exceptions.
+ * @param {string} date - The "YYYY-MM-DD" date to compute the slots for.
+ * @param {number} slotDuration - The length of a slot in minutes.
+ * @returns {Array<string>} The "HH:MM" start times of the slots.
+ */
+const getTimeSlots = (business, date, slotDuration) => {
+   const slots = [];
+
+   getDayIntervals(business, date).forEach(({ start, end }) => {
+      const commence = Math.max(start, 0);
+      const finish = Math.min(end, dayMinutes);
+
+      for (let slot = commence; slot + slotDuration <= finish; slot += slotDuration) {
+         slots.push(toTimeString(slot));
+      }
+   });
+
+   return slots;
+};
+
+/**
+ * Computes the opening status of a business at a given instant, in the business's time zone.
+ * @param {Object} business - The business data containing its time table, exceptions and time zone.
+ * @param {Date} [instant] - The instant to compute the status for, now by default.
+ * @returns {Object} The status ("open", "closing-soon" or "closed"), the local closing time
+ * when open, and the local date and time of the next opening when closed.
+ */
+const getOpeningStatus = (business, instant = new Date()) => {
+   const { date, minutes } = getLocalDateTime(instant, business.timeZone);
+
+   const current = getDayIntervals(business, date)
+      .find(({ start, end }) => start <= minutes && minutes < end);
+
+   if (current) {
+      return {
+         status: current.end - minutes <= closingSoonMinutes ? "closing-soon" : "open",
+         closesAt: toTimeString(current.end % dayMinutes),
+         nextOpening: null
+      };
+   }
+
+   for (let offset = 0; offset <= 7; offset++) {
+      const day = addDays(date, offset);
+      const next = getOpenIntervals(business, day)
+         .find(({ start }) => offset > 0 || start > minutes);
+
+      if (next) {
+         return {
+            status: "closed",
+            closesAt: null,
+            nextOpening: { date: day, time: toTimeString(next.start) }
+         };
+      }
+   }
+
+   return { status: "closed", closesAt: null, nextOpening: null };
+};
+
+// Export functions
+module.exports = {
+   daysOfWeek,
+   defaultTimeZone,
+   toMinutes,
+   toTimeString,
+   getDayName,
+   getDaySchedule,
+   getDateException,
+   addDays,
+   getLocalDateTime,
+   getOpenIntervals,
+   getDayIntervals,
+   getTimeSlots,
+   getOpeningStatus
+}
\ No newline at end of file
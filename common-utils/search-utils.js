@@ -0,0 +1,295 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+
+// Maximum number of values accepted by an "array-contains-any" query
+const maxQueryValues = 10;
+
+// Maximum number of trigrams stored for a single indexed document
+const maxTrigrams = 2000;
+
+// Relevance weight of each indexed field
+const fieldWeights = {
+   name: 3,
+   title: 3,
+   tags: 2,
+   city: 1.5,
+   description: 1,
+   content: 1
+};
+
+/**
+ * Folds a text to lowercase and removes its accents and punctuation.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+const normalizeText = (text) => {
+   return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+};
+
+/**
+ * Turns a text into a URL-friendly slug, e.g. "Café & Bar" into "cafe-bar".
+ * @param {string} text - The text to turn into a slug.
+ * @returns {string} The slug.
+ */
+const toSlug = (text) => normalizeText(text).replace(/ /g, '-');
+
+/**
+ * Splits a text into its distinct normalized words.
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} The distinct words of the text.
+ */
+const tokenize = (text) => {
+   return [...new Set(normalizeText(text).split(' ').filter(token => token.length > 0))];
+};
+
+/**
+ * Returns the trigrams of a word, padded so that short words produce at least one trigram.
+ * @param {string} token - The normalized word.
+ * @returns {Array<string>} The trigrams of the word.
+ */
+const getTrigrams = (token) => {
+   const padded = `  ${token} `;
+   const trigrams = [];
+
+   for (let index = 0; index + 3 <= padded.length; index++) {
+      trigrams.push(padded.slice(index, index + 3));
+   }
+
+   return trigrams;
+};
+
+/**
+ * Computes the Levenshtein edit distance between two words.
+ * @param {string} first - The first word.
+ * @param {string} second - The second word.
+ * @returns {number} The number of edits needed to turn one word into the other.
+ */
+const getEditDistance = (first, second) => {
+   let previous = Array.from({ length: second.length + 1 }, (value, index) => index);
+
+   for (let i = 1; i <= first.length; i++) {
+      const current = [i];
+
+      for (let j = 1; j <= second.length; j++) {
+         const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+         current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+
+      previous = current;
+   }
+
+   return previous[second.length];
+};
+
+/**
+ * Scores how well a query word matches a document word, tolerating typos.
+ * @param {string} queryToken - The word of the query.
+ * @param {string} token - The word of the document.
+ * @returns {number} A score between 0 (no match) and 1 (exact match).
+ */
+const getTokenSimilarity = (queryToken, token) => {
+   if (queryToken === token) {
+      return 1;
+   }
+
+   if (queryToken.length >= 3 && token.startsWith(queryToken)) {
+      return 0.9;
+   }
+
+   const allowedTypos = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+   const distance = getEditDistance(queryToken, token.slice(0, queryToken.length + allowedTypos));
+
+   return distance <= allowedTypos ? 0.8 - 0.2 * distance : 0;
+};
+
+/**
+ * Computes the relevance of an indexed document for a search query.
+ * @param {Array<string>} queryTokens - The normalized words of the query.
+ * @param {Object} fields - The indexed fields of the document, as arrays of normalized words.
+ * @returns {number} The relevance score, 0 when no query word matches.
+ */
+const getRelevance = (queryTokens, fields) => {
+   return queryTokens.reduce((score, queryToken) => {
+      const best = Object.entries(fields).reduce((fieldBest, [field, tokens]) => {
+         const similarity = Math.max(0, ...tokens.map(token => getTokenSimilarity(queryToken, token)));
+         return Math.max(fieldBest, similarity * (fieldWeights[field] || 1));
+      }, 0);
+
+      return score + best;
+   }, 0);
+};
+
+/**
+ * Returns the reference of the search index entry of a document.
+ * @param {string} type - The type of the indexed document ("business" or "post").
+ * @param {string} targetId - The ID of the indexed document.
+ * @returns {Object} The search index document reference.
+ */
+const getIndexRef = (type, targetId) => {
+   return firestore.collection("search-index").doc(`${type}_${targetId}`);
+};
+
+/**
+ * Resolves tag IDs into their names and synonyms.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {Array<string>|null} tagIds - The IDs of the tags.
+ * @returns {Promise<Array<string>>} The names and synonyms of the existing tags.
+ */
+const getTagNames = async (tagCollection, tagIds) => {
+   const tagDocs = await Promise.all((tagIds || []).map(tagId => {
+      return firestore.collection(tagCollection).doc(tagId).get();
+   }));
+
+   return tagDocs
+      .filter(doc => doc.exists)
+      .flatMap(doc => [doc.data().name, ...(doc.data().synonyms || [])]);
+};
+
+/**
+ * Adds or replaces the search index entry of a document.
+ * @param {string} type - The type of the indexed document ("business" or "post").
+ * @param {string} targetId - The ID of the indexed document.
+ * @param {Object} fields - The searchable texts of the document, keyed by field name.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while writing the index entry.
+ */
+const indexDocument = async (type, targetId, fields) => {
+   try {
+      const tokenFields = {};
+      const trigrams = new Set();
+
+      Object.entries(fields).forEach(([field, text]) => {
+         tokenFields[field] = tokenize(Array.isArray(text) ? text.join(' ') : text);
+         tokenFields[field].forEach(token => getTrigrams(token).forEach(trigram => trigrams.add(trigram)));
+      });
+
+      await getIndexRef(type, targetId).set({
+         type,
+         targetId,
+         fields: tokenFields,
+         trigrams: [...trigrams].slice(0, maxTrigrams)
+      });
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Indexes a business under its name, description, city and tag names. Businesses hidden by a
+ * moderator are kept out of the index.
+ * @param {string} businessId - The ID of the business.
+ * @param {Object} business - The business data.
+ * @returns {Promise<void>}
+ */
+const indexBusiness = async (businessId, business) => {
+   if (business.isHidden) {
+      return removeFromIndex("business", businessId);
+   }
+
+   await indexDocument("business", businessId, {
+      name: business.name,
+      description: business.description,
+      city: business.city,
+      tags: await getTagNames("business-tag", business.tags)
+   });
+};
+
+/**
+ * Indexes a post under its title, content and tag names. Posts that are not published or are
+ * hidden by a moderator are kept out of the index.
+ * @param {string} postId - The ID of the post.
+ * @param {Object} post - The post data.
+ * @returns {Promise<void>}
+ */
+const indexPost = async (postId, post) => {
+   if (post.isHidden || (post.status && post.status !== "published")) {
+      return removeFromIndex("post", postId);
+   }
+
+   await indexDocument("post", postId, {
+      title: post.title,
+      content: post.content,
+      tags: await getTagNames("post-tag", post.tags)
+   });
+};
+
+/**
+ * Removes the search index entry of a document.
+ * @param {string} type - The type of the indexed document ("business" or "post").
+ * @param {string} targetId - The ID of the indexed document.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while deleting the index entry.
+ */
+const removeFromIndex = async (type, targetId) => {
+   try {
+      await getIndexRef(type, targetId).delete();
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Searches the index for the documents of a type that match a query, most relevant first.
+ * Candidates are fetched through the trigrams of the query, so that misspelled words still
+ * reach the documents they were meant for, and are then ranked in memory.
+ * @param {string} type - The type of the searched documents ("business" or "post").
+ * @param {string} query - The search query.
+ * @param {Array<string>} [fieldNames] - The indexed fields to match, every field when omitted.
+ * @returns {Promise<Array<Object>>} The matching document IDs with their relevance score.
+ * @throws {Error} If an error occurs while querying the index.
+ */
+const searchIndex = async (type, query, fieldNames) => {
+   try {
+      const queryTokens = tokenize(query);
+
+      if (queryTokens.length === 0) {
+         return [];
+      }
+
+      const queryTrigrams = [...new Set(queryTokens.flatMap(getTrigrams))];
+      const step = Math.max(1, Math.ceil(queryTrigrams.length / maxQueryValues));
+      const sampledTrigrams = queryTrigrams
+         .filter((trigram, index) => index % step === 0)
+         .slice(0, maxQueryValues);
+
+      const snapshot = await firestore
+         .collection("search-index")
+         .where("type", "==", type)
+         .where("trigrams", "array-contains-any", sampledTrigrams)
+         .get();
+
+      const getMatchedFields = (fields) => {
+         return fieldNames ? Object.fromEntries(fieldNames.map(field => [field, fields[field] || []])) : fields;
+      };
+
+      return snapshot.docs
+         .map(doc => ({
+            id: doc.data().targetId,
+            score: getRelevance(queryTokens, getMatchedFields(doc.data().fields))
+         }))
+         .filter(result => result.score > 0)
+         .sort((a, b) => b.score - a.score);
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+// Export functions
+module.exports = {
+   normalizeText,
+   toSlug,
+   tokenize,
+   getEditDistance,
+   getRelevance,
+   indexDocument,
+   indexBusiness,
+   indexPost,
+   removeFromIndex,
+   searchIndex
+}
\ No newline at end of file
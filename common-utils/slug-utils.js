@@ -0,0 +1,161 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const crypto = require('crypto');
+const { toSlug } = require("./search-utils");
+const {
+   batchSize,
+   deleteQueryDocuments
+} = require("./firestore-utils");
+
+// Maximum length of the text part of a slug
+const maxSlugLength = 80;
+
+// Number of numbered suffixes tried before a random suffix is used to make a slug unique
+const maxNumberedSuffix = 5;
+
+/**
+ * Returns the reference of the document reserving a slug. Slugs are kept after they are
+ * replaced, so that the old URLs of a document keep resolving to it.
+ * @param {string} targetType - The type of the document ("business" or "post").
+ * @param {string} slug - The slug.
+ * @returns {Object} The slug document reference.
+ */
+const getSlugRef = (targetType, slug) => {
+   return firestore.collection("slug").doc(`${targetType}_${slug}`);
+};
+
+/**
+ * Turns the name or title of a document into the slug it should preferably get.
+ * @param {string} targetType - The type of the document, used when the text has no usable characters.
+ * @param {string} text - The name or title of the document.
+ * @returns {string} The preferred slug.
+ */
+const getBaseSlug = (targetType, text) => {
+   return toSlug(text).slice(0, maxSlugLength).replace(/-+$/, '') || targetType;
+};
+
+/**
+ * Gives a document a unique slug derived from its name or title, unless its current slug is
+ * already derived from the same text. The previous slug stays reserved for the document.
+ * @param {string} targetType - The type of the document ("business" or "post").
+ * @param {string} targetId - The ID of the document.
+ * @param {string} text - The name or title of the document.
+ * @param {string|null} [currentSlug] - The current slug of the document, if any.
+ * @returns {Promise<string>} The slug of the document.
+ * @throws {Error} If an error occurs while reserving the slug.
+ */
+const assignSlug = async (targetType, targetId, text, currentSlug = null) => {
+   try {
+      const baseSlug = getBaseSlug(targetType, text);
+
+      if (currentSlug && (currentSlug === baseSlug || new RegExp(`^${baseSlug}-(\\d+|[0-9a-f]{8})$`).test(currentSlug))) {
+         return currentSlug;
+      }
+
+      const slug = await firestore.runTransaction(async (transaction) => {
+         const candidates = [baseSlug];
+
+         for (let suffix = 2; suffix <= maxNumberedSuffix; suffix++) {
+            candidates.push(`${baseSlug}-${suffix}`);
+         }
+
+         candidates.push(`${baseSlug}-${crypto.randomBytes(4).toString('hex')}`);
+
+         for (const candidate of candidates) {
+            const slugRef = getSlugRef(targetType, candidate);
+            const slugDoc = await transaction.get(slugRef);
+
+            if (!slugDoc.exists || slugDoc.data().targetId === targetId) {
+               transaction.set(slugRef, {
+                  targetType,
+                  targetId,
+                  slug: candidate,
+                  timestamp: Math.floor(new Date() / 1000)
+               });
+
+               return candidate;
+            }
+         }
+
+         throw Error("No unique slug could be generated.");
+      });
+
+      await firestore.collection(targetType).doc(targetId).update({ slug });
+
+      return slug;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Finds the document a current or former slug belongs to.
+ * @param {string} targetType - The type of the document ("business" or "post").
+ * @param {string} slug - The slug.
+ * @returns {Promise<Object|null>} The document snapshot, or null if no existing document has used the slug.
+ * @throws {Error} If an error occurs while reading the slug.
+ */
+const findBySlug = async (targetType, slug) => {
+   try {
+      const slugDoc = await getSlugRef(targetType, slug).get();
+
+      if (!slugDoc.exists) {
+         return null;
+      }
+
+      const targetDoc = await firestore.collection(targetType).doc(slugDoc.data().targetId).get();
+
+      return targetDoc.exists ? targetDoc : null;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Releases the current and former slugs of a deleted document.
+ * @param {string} targetType - The type of the document ("business" or "post").
+ * @param {string} targetId - The ID of the document.
+ * @returns {Promise<number>} The number of released slugs.
+ */
+const removeSlugs = (targetType, targetId) => {
+   return deleteQueryDocuments(
+      firestore,
+      firestore.collection("slug").where("targetType", "==", targetType).where("targetId", "==", targetId)
+   );
+};
+
+/**
+ * Transfers the slugs of a document to another one, so that the URLs of a merged document
+ * lead to the document it was merged into.
+ * @param {string} targetType - The type of the documents ("business" or "post").
+ * @param {string} sourceId - The ID of the document giving up its slugs.
+ * @param {string} targetId - The ID of the document receiving them.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while updating the slugs.
+ */
+const moveSlugs = async (targetType, sourceId, targetId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection("slug")
+         .where("targetType", "==", targetType)
+         .where("targetId", "==", sourceId)
+         .get();
+
+      for (let index = 0; index < querySnapshot.docs.length; index += batchSize) {
+         const batch = firestore.batch();
+         querySnapshot.docs.slice(index, index + batchSize).forEach(doc => batch.update(doc.ref, { targetId }));
+         await batch.commit();
+      }
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+// Export functions
+module.exports = {
+   assignSlug,
+   findBySlug,
+   removeSlugs,
+   moveSlugs
+}
\ No newline at end of file
@@ -56,6 +56,32 @@ const getFileURLWithSuffix = async (folderPath, suffix) => {
    }
 };
 
+/**
+ * Retrieves the URL of a single file of Firebase Storage.
+ * @param {string} filePath - The path of the file.
+ * @returns {Promise<string>} The URL of the file.
+ * @throws {Error} If the file does not exist or an error occurs.
+ */
+const getFileURL = async (filePath) => {
+   try {
+      const bucket = admin.storage().bucket();
+      const [exists] = await bucket.file(filePath).exists();
+
+      if (!exists) {
+         throw Error('The requested resources could not be found.');
+      }
+
+      const [fileURL] = await bucket.file(filePath).getSignedUrl({
+         action: 'read',
+         expires: '01-01-3000'
+      });
+
+      return fileURL;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
 /**
  * Uploads a file from a local path to a specified folder in Firebase Storage.
  * @param {string} folderPath - The path to the folder where the file will be uploaded.
@@ -106,10 +132,53 @@ const findFeatImageFile = async (folderPath) => {
    }
 };
 
+/**
+ * Copies a file to another path of Firebase Storage.
+ * @param {string} sourcePath - The path of the file to copy.
+ * @param {string} destinationPath - The path of the copy.
+ * @returns {Promise<string>} The URL of the copied file.
+ * @throws {Error} If there's an error during the copy process.
+ */
+const copyFile = async (sourcePath, destinationPath) => {
+   try {
+      const bucket = admin.storage().bucket();
+      await bucket.file(sourcePath).copy(bucket.file(destinationPath));
+
+      const [fileURL] = await bucket.file(destinationPath).getSignedUrl({
+         action: 'read',
+         expires: '01-01-3000'
+      });
+
+      return fileURL;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Deletes a single file from Firebase Storage.
+ * @param {string} filePath - The path of the file to delete.
+ * @returns {Promise<boolean>} - Returns `true` if the file was successfully deleted.
+ * @throws {Error} If there's an error during the deletion process.
+ */
+const deleteFile = async (filePath) => {
+   try {
+      const bucket = admin.storage().bucket();
+      await bucket.file(filePath).delete();
+
+      return true;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
 // Export functions
 module.exports = {
    deleteFilesInFolder,
    getFileURLWithSuffix,
+   getFileURL,
    uploadFileToFolder,
-   findFeatImageFile
+   findFeatImageFile,
+   copyFile,
+   deleteFile
 }
\ No newline at end of file
@@ -0,0 +1,379 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const {
+   toSlug,
+   indexBusiness,
+   indexPost
+} = require("./search-utils");
+const { batchSize } = require("./firestore-utils");
+
+// Maximum depth of the tag taxonomy
+const maxTagDepth = 5;
+
+// Collection tagged by each tag collection, with the plural name of its documents and the
+// function indexing them for search
+const taggedCollections = {
+   "business-tag": { collection: "business", documentName: "businesses", indexTagged: indexBusiness },
+   "post-tag": { collection: "post", documentName: "posts", indexTagged: indexPost }
+};
+
+/**
+ * Builds the document of a tag from a validated request body.
+ * @param {Object} tag - The validated tag object.
+ * @returns {Object} The tag fields with their normalized slug and default values.
+ */
+const toTagFields = (tag) => ({
+   name: tag.name,
+   slug: toSlug(tag.name),
+   parentId: tag.parentId || null,
+   synonyms: tag.synonyms || []
+});
+
+/**
+ * Ensures that no other tag of a collection uses the given slug.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} slug - The normalized slug of the tag.
+ * @param {string} [tagId] - The ID of the tag being updated, which may keep its own slug.
+ * @returns {Promise<void>}
+ * @throws {Error} If another tag already uses the slug.
+ */
+const assertUniqueSlug = async (tagCollection, slug, tagId) => {
+   const querySnapshot = await firestore.collection(tagCollection).where("slug", "==", slug).get();
+
+   if (querySnapshot.docs.some(doc => doc.id !== tagId)) {
+      throw Error("A tag with the same name already exists.");
+   }
+};
+
+/**
+ * Ensures that a tag can be placed under the given parent: the parent must exist, must not be
+ * the tag itself or one of its descendants, and the taxonomy must not grow too deep.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string|null} parentId - The ID of the parent tag.
+ * @param {string} [tagId] - The ID of the tag being updated.
+ * @returns {Promise<void>}
+ * @throws {Error} If the parent is not acceptable.
+ */
+const assertValidParent = async (tagCollection, parentId, tagId) => {
+   let ancestorId = parentId;
+   let depth = 0;
+
+   while (ancestorId) {
+      if (ancestorId === tagId) {
+         throw Error("A tag cannot be placed under itself or one of its descendants.");
+      }
+
+      if (++depth >= maxTagDepth) {
+         throw Error(`The tag taxonomy cannot be deeper than ${maxTagDepth} levels.`);
+      }
+
+      const ancestorDoc = await firestore.collection(tagCollection).doc(ancestorId).get();
+
+      if (!ancestorDoc.exists) {
+         throw Error("The parent tag could not be found.");
+      }
+
+      ancestorId = ancestorDoc.data().parentId;
+   }
+};
+
+/**
+ * Checks whether a tag is one of the descendants of another tag.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} tagId - The ID of the tag that may be a descendant.
+ * @param {string} ancestorId - The ID of the tag that may be its ancestor.
+ * @returns {Promise<boolean>} Returns true if the tag is a descendant of the other tag.
+ */
+const isDescendantTag = async (tagCollection, tagId, ancestorId) => {
+   let parentDoc = await firestore.collection(tagCollection).doc(tagId).get();
+
+   for (let depth = 0; depth < maxTagDepth && parentDoc.exists && parentDoc.data().parentId; depth++) {
+      if (parentDoc.data().parentId === ancestorId) {
+         return true;
+      }
+
+      parentDoc = await firestore.collection(tagCollection).doc(parentDoc.data().parentId).get();
+   }
+
+   return false;
+};
+
+/**
+ * Adjusts the usage counts of the tags added to or removed from a business or post.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {Array<string>|null} previousTags - The tag IDs before the change.
+ * @param {Array<string>|null} nextTags - The tag IDs after the change.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while updating the counts.
+ */
+const updateTagUsage = async (tagCollection, previousTags, nextTags) => {
+   try {
+      const previous = new Set(previousTags || []);
+      const next = new Set(nextTags || []);
+      const changes = [
+         ...[...next].filter(tagId => !previous.has(tagId)).map(tagId => ({ tagId, change: 1 })),
+         ...[...previous].filter(tagId => !next.has(tagId)).map(tagId => ({ tagId, change: -1 }))
+      ];
+
+      if (changes.length === 0) {
+         return;
+      }
+
+      const tagDocs = await Promise.all(changes.map(({ tagId }) => {
+         return firestore.collection(tagCollection).doc(tagId).get();
+      }));
+
+      const batch = firestore.batch();
+      changes.forEach(({ change }, index) => {
+         if (tagDocs[index].exists) {
+            batch.update(tagDocs[index].ref, { usageCount: FieldValue.increment(change) });
+         }
+      });
+
+      await batch.commit();
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Arranges the tags of a collection into a tree, children sorted by name.
+ * Tags whose parent no longer exists are placed at the root.
+ * @param {Array<Object>} tagDocs - The tag documents.
+ * @returns {Array<Object>} The root tags, each with its nested "children".
+ */
+const buildTagTree = (tagDocs) => {
+   const nodes = new Map(tagDocs.map(doc => [doc.id, {
+      tagId: doc.id,
+      tag: { usageCount: 0, synonyms: [], parentId: null, ...doc.data() },
+      children: []
+   }]));
+
+   const roots = [];
+   nodes.forEach((node) => {
+      const parent = nodes.get(node.tag.parentId);
+      (parent ? parent.children : roots).push(node);
+   });
+
+   const sortNodes = (list) => {
+      list.sort((a, b) => a.tag.name.localeCompare(b.tag.name));
+      list.forEach(node => sortNodes(node.children));
+      return list;
+   };
+
+   return sortNodes(roots);
+};
+
+/**
+ * Moves the children of a tag under the tag's own parent, before the tag is removed.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} tagId - The ID of the tag being removed.
+ * @param {string|null} parentId - The ID of the parent of the tag being removed.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while moving the children.
+ */
+const reparentChildTags = async (tagCollection, tagId, parentId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection(tagCollection)
+         .where("parentId", "==", tagId)
+         .get();
+
+      if (querySnapshot.empty) {
+         return;
+      }
+
+      const batch = firestore.batch();
+      querySnapshot.forEach(doc => batch.update(doc.ref, { parentId: parentId || null }));
+      await batch.commit();
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Counts the documents of a collection that reference a tag.
+ * @param {string} collection - The tagged collection ("business" or "post").
+ * @param {string} tagId - The ID of the tag.
+ * @returns {Promise<number>} The number of referencing documents.
+ * @throws {Error} If an error occurs while querying the documents.
+ */
+const countTagReferences = async (collection, tagId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection(collection)
+         .where("tags", "array-contains", tagId)
+         .get();
+
+      return querySnapshot.size;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Rewrites, in batches, every document of a collection that references a tag, removing the tag
+ * and adding the replacement tag in its place when one is given.
+ * @param {string} collection - The tagged collection ("business" or "post").
+ * @param {string} tagId - The ID of the tag to remove.
+ * @param {string|null} replacementId - The ID of the tag to put in its place, or null.
+ * @returns {Promise<Array<Object>>} The changed documents, with their ID, updated data and
+ * whether they already referenced the replacement tag.
+ * @throws {Error} If an error occurs while rewriting the documents.
+ */
+const replaceTagReferences = async (collection, tagId, replacementId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection(collection)
+         .where("tags", "array-contains", tagId)
+         .get();
+
+      const changes = querySnapshot.docs.map((doc) => {
+         const tags = doc.data().tags.filter(id => id !== tagId);
+         const hadReplacement = !!replacementId && tags.includes(replacementId);
+
+         if (replacementId && !hadReplacement) {
+            tags.push(replacementId);
+         }
+
+         return { ref: doc.ref, id: doc.id, data: { ...doc.data(), tags }, hadReplacement };
+      });
+
+      for (let index = 0; index < changes.length; index += batchSize) {
+         const batch = firestore.batch();
+         changes.slice(index, index + batchSize).forEach(({ ref, data }) => {
+            batch.update(ref, { tags: data.tags });
+         });
+         await batch.commit();
+      }
+
+      return changes.map(({ id, data, hadReplacement }) => ({ id, data, hadReplacement }));
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Reindexes every document referencing a tag, so that search matches the current name and
+ * synonyms of the tag.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} tagId - The ID of the tag.
+ * @returns {Promise<number>} The number of reindexed documents.
+ * @throws {Error} If an error occurs while reindexing the documents.
+ */
+const reindexTaggedDocuments = async (tagCollection, tagId) => {
+   try {
+      const { collection, indexTagged } = taggedCollections[tagCollection];
+      const querySnapshot = await firestore
+         .collection(collection)
+         .where("tags", "array-contains", tagId)
+         .get();
+
+      for (const doc of querySnapshot.docs) {
+         await indexTagged(doc.id, doc.data());
+      }
+
+      return querySnapshot.size;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Deletes a tag, moving its children under its parent. A tag still referenced by documents is
+ * only deleted when cascading, in which case it is removed from these documents first.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} tagId - The ID of the tag to delete.
+ * @param {boolean} cascade - Whether to remove the tag from the documents referencing it.
+ * @returns {Promise<number>} The number of documents the tag was removed from.
+ * @throws {Error} If the tag is still referenced and not cascading, or the deletion fails.
+ */
+const deleteTag = async (tagCollection, tagId, cascade) => {
+   const { collection, documentName, indexTagged } = taggedCollections[tagCollection];
+   let documentsChanged = 0;
+
+   if (cascade) {
+      const changes = await replaceTagReferences(collection, tagId, null);
+
+      for (const change of changes) {
+         await indexTagged(change.id, change.data);
+      }
+
+      documentsChanged = changes.length;
+   } else {
+      const references = await countTagReferences(collection, tagId);
+
+      if (references > 0) {
+         throw Error(`The tag is still used by ${references} ${documentName}.`);
+      }
+   }
+
+   const tagRef = firestore.collection(tagCollection).doc(tagId);
+   const tagSnapshot = await tagRef.get();
+
+   if (tagSnapshot.exists) {
+      await reparentChildTags(tagCollection, tagId, tagSnapshot.data().parentId);
+   }
+
+   await tagRef.delete();
+
+   return documentsChanged;
+};
+
+/**
+ * Merges a tag into another one: every document referencing the source tag is rewritten to
+ * reference the target tag, the source tag's name and synonyms become synonyms of the target
+ * tag, its children move under the target tag and the source tag is deleted. All the documents
+ * of the target tag are then reindexed, so that the source tag's names find them too.
+ * @param {string} tagCollection - The tag collection ("business-tag" or "post-tag").
+ * @param {string} sourceTagId - The ID of the tag merged away.
+ * @param {string} targetTagId - The ID of the tag receiving the references.
+ * @returns {Promise<number>} The number of documents rewritten to reference the target tag.
+ * @throws {Error} If a tag does not exist, the target descends from the source, or the merge fails.
+ */
+const mergeTags = async (tagCollection, sourceTagId, targetTagId) => {
+   const sourceRef = firestore.collection(tagCollection).doc(sourceTagId);
+   const targetRef = firestore.collection(tagCollection).doc(targetTagId);
+   const [sourceSnapshot, targetSnapshot] = await Promise.all([sourceRef.get(), targetRef.get()]);
+
+   if (!sourceSnapshot.exists || !targetSnapshot.exists) {
+      throw Error("Tag not found.");
+   }
+
+   if (await isDescendantTag(tagCollection, targetTagId, sourceTagId)) {
+      throw Error("A tag cannot be merged into one of its descendants.");
+   }
+
+   const changes = await replaceTagReferences(taggedCollections[tagCollection].collection, sourceTagId, targetTagId);
+   const source = sourceSnapshot.data();
+   const addedReferences = changes.filter(change => !change.hadReplacement).length;
+
+   await targetRef.update({
+      synonyms: FieldValue.arrayUnion(source.name, ...(source.synonyms || [])),
+      usageCount: FieldValue.increment(addedReferences)
+   });
+
+   await reindexTaggedDocuments(tagCollection, targetTagId);
+   await reparentChildTags(tagCollection, sourceTagId, targetTagId);
+   await sourceRef.delete();
+
+   return changes.length;
+};
+
+// Export functions
+module.exports = {
+   toTagFields,
+   assertUniqueSlug,
+   assertValidParent,
+   isDescendantTag,
+   updateTagUsage,
+   buildTagTree,
+   reparentChildTags,
+   countTagReferences,
+   replaceTagReferences,
+   reindexTaggedDocuments,
+   deleteTag,
+   mergeTags
+}
\ No newline at end of file
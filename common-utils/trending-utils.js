@@ -0,0 +1,46 @@
+// Weight of each kind of engagement in the trending score of a post
+const trendingWeights = {
+   view: 1,
+   reaction: 3,
+   comment: 5
+};
+
+// Number of seconds after which the weight of an engagement is halved
+const trendingHalfLife = 24 * 60 * 60;
+
+/**
+ * Returns the trending score of a post at a given time. The score is stored together with the
+ * time it was last updated, and decays exponentially from there.
+ * @param {Object} post - The post data, with its "trendingScore" and "trendingTime" fields.
+ * @param {number} [now] - The time of the score, as a Unix timestamp in seconds.
+ * @returns {number} The decayed trending score.
+ */
+const getTrendingScore = (post, now = Math.floor(new Date() / 1000)) => {
+   if (!post.trendingScore) {
+      return 0;
+   }
+
+   return post.trendingScore * Math.pow(2, -(now - post.trendingTime) / trendingHalfLife);
+};
+
+/**
+ * Builds the fields that add an engagement to the trending score of a post. Only new engagement
+ * counts, so that removing a reaction or comment does not make a post trend less than before.
+ * @param {Object} post - The current post data.
+ * @param {string} engagement - The kind of engagement ("view", "reaction" or "comment").
+ * @returns {Object} The updated "trendingScore" and "trendingTime" fields.
+ */
+const getTrendingUpdate = (post, engagement) => {
+   const now = Math.floor(new Date() / 1000);
+
+   return {
+      trendingScore: getTrendingScore(post, now) + trendingWeights[engagement],
+      trendingTime: now
+   };
+};
+
+// Export functions
+module.exports = {
+   getTrendingScore,
+   getTrendingUpdate
+}
\ No newline at end of file
@@ -28,7 +28,9 @@ const isCollectionId = (collectionId) => {
  */
 const isTag = (tag) => {
    const schema = joi.object({
-      name: joi.string().required().regex(/^\w+(?:\s+\w+)*$/)
+      name: joi.string().required().regex(/^\w+(?:\s+\w+)*$/),
+      parentId: joi.string().alphanum().length(20).allow(null),
+      synonyms: joi.array().items(joi.string().regex(/^\w+(?:\s+\w+)*$/)).unique().max(20)
    });
 
    return !schema.validate(tag).error;
@@ -44,10 +46,47 @@ const isUserId = (userId) => {
    return !schema.validate(userId).error;
 }
 
+/**
+ * Checks if a given string is an IANA time zone name supported by the runtime.
+ * @param {string} timeZone - The time zone name to validate, e.g. "Europe/Paris".
+ * @returns {boolean} True if the time zone is valid, false otherwise.
+ */
+const isTimeZone = (timeZone) => {
+   try {
+      new Intl.DateTimeFormat('en-GB', { timeZone });
+      return typeof timeZone === 'string';
+   } catch (error) {
+      return false;
+   }
+};
+
+/**
+ * Checks if a given value is a valid version number of a business or post.
+ * @param {string|number} version - The version number to validate.
+ * @returns {boolean} True if the version number is valid, false otherwise.
+ */
+const isVersionNumber = (version) => {
+   const schema = joi.number().integer().min(1).required();
+   return !schema.validate(version).error;
+};
+
+/**
+ * Checks if a given string is a URL slug, made of lowercase words joined by hyphens.
+ * @param {string} slug - The slug to validate, e.g. "cafe-bar-2".
+ * @returns {boolean} True if the slug is valid, false otherwise.
+ */
+const isSlug = (slug) => {
+   const schema = joi.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).required();
+   return !schema.validate(slug).error;
+};
+
 // Export functions
 module.exports = {
    isFilePath,
    isCollectionId,
    isTag,
-   isUserId
+   isUserId,
+   isTimeZone,
+   isVersionNumber,
+   isSlug
 }
\ No newline at end of file
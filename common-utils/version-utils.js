@@ -0,0 +1,169 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+
+/**
+ * Returns the collection holding the versions of a type of document.
+ * @param {string} targetType - The type of the versioned document ("business" or "post").
+ * @returns {string} The version collection, e.g. "business-version".
+ */
+const getVersionCollection = (targetType) => `${targetType}-version`;
+
+/**
+ * Returns the reference of a version of a document.
+ * @param {string} targetType - The type of the versioned document ("business" or "post").
+ * @param {string} targetId - The ID of the versioned document.
+ * @param {number} version - The version number, starting at 1.
+ * @returns {Object} The version document reference.
+ */
+const getVersionRef = (targetType, targetId, version) => {
+   return firestore.collection(getVersionCollection(targetType)).doc(`${targetId}_${version}`);
+};
+
+/**
+ * Compares two Firestore values structurally, regardless of the order of object keys.
+ * @param {*} first - The first value.
+ * @param {*} second - The second value.
+ * @returns {boolean} Returns true if both values hold the same data.
+ */
+const isEqualValue = (first, second) => {
+   if (first === second) {
+      return true;
+   }
+
+   if (typeof first !== 'object' || typeof second !== 'object' || first === null || second === null) {
+      return false;
+   }
+
+   if (Array.isArray(first) !== Array.isArray(second)) {
+      return false;
+   }
+
+   const firstKeys = Object.keys(first);
+   const secondKeys = Object.keys(second);
+
+   return firstKeys.length === secondKeys.length
+      && firstKeys.every(key => Object.prototype.hasOwnProperty.call(second, key)
+         && isEqualValue(first[key], second[key]));
+};
+
+/**
+ * Lists the fields that differ between two versions of a document.
+ * @param {Object} fromData - The fields of the older version.
+ * @param {Object} toData - The fields of the newer version.
+ * @returns {Array<Object>} The changed fields with their value in each version.
+ */
+const getFieldDiff = (fromData, toData) => {
+   const fields = [...new Set([...Object.keys(fromData), ...Object.keys(toData)])].sort();
+
+   return fields
+      .filter(field => !isEqualValue(fromData[field] ?? null, toData[field] ?? null))
+      .map(field => ({ field, from: fromData[field] ?? null, to: toData[field] ?? null }));
+};
+
+/**
+ * Updates a document and stores the updated fields as a new version, in a single transaction.
+ * Documents written before versioning existed get their previous state stored first as version 1,
+ * with no editor or time, so that the first update can still be diffed and rolled back.
+ * @param {string} targetType - The type of the versioned document ("business" or "post").
+ * @param {string} targetId - The ID of the versioned document.
+ * @param {Object} fields - The validated, user-editable fields stored in the version.
+ * @param {Object} documentUpdate - The fields written to the document itself.
+ * @param {string|null} editorId - The ID of the user who made the change.
+ * @param {number|null} [restoredFrom] - The version restored by this change, if any.
+ * @returns {Promise<Object>} The document data before the update.
+ * @throws {Error} If the document does not exist.
+ */
+const updateWithVersion = (targetType, targetId, fields, documentUpdate, editorId, restoredFrom = null) => {
+   const targetRef = firestore.collection(targetType).doc(targetId);
+
+   return firestore.runTransaction(async (transaction) => {
+      const targetDoc = await transaction.get(targetRef);
+
+      if (!targetDoc.exists) {
+         throw Error(`The ${targetType} with ID ${targetId} not found.`);
+      }
+
+      const previousData = targetDoc.data();
+      let versionCount = previousData.versionCount || 0;
+
+      if (versionCount === 0) {
+         const baseline = Object.fromEntries(Object.keys(fields).map(field => {
+            return [field, previousData[field] ?? null];
+         }));
+
+         transaction.set(getVersionRef(targetType, targetId, ++versionCount), {
+            targetId,
+            version: versionCount,
+            fields: baseline,
+            editorId: null,
+            restoredFrom: null,
+            timestamp: null
+         });
+      }
+
+      transaction.set(getVersionRef(targetType, targetId, ++versionCount), {
+         targetId,
+         version: versionCount,
+         fields,
+         editorId,
+         restoredFrom,
+         timestamp: Math.floor(new Date() / 1000)
+      });
+      transaction.update(targetRef, { ...documentUpdate, versionCount });
+
+      return previousData;
+   });
+};
+
+/**
+ * Retrieves the versions of a document, newest first.
+ * @param {string} targetType - The type of the versioned document ("business" or "post").
+ * @param {string} targetId - The ID of the versioned document.
+ * @returns {Promise<Array<Object>>} The versions, without their stored fields.
+ * @throws {Error} If an error occurs while querying the versions.
+ */
+const getVersions = async (targetType, targetId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection(getVersionCollection(targetType))
+         .where("targetId", "==", targetId)
+         .get();
+
+      return querySnapshot.docs
+         .map(doc => {
+            const { version, editorId, restoredFrom, timestamp } = doc.data();
+            return { version, editorId, restoredFrom, timestamp };
+         })
+         .sort((a, b) => b.version - a.version);
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Retrieves a single version of a document.
+ * @param {string} targetType - The type of the versioned document ("business" or "post").
+ * @param {string} targetId - The ID of the versioned document.
+ * @param {number} version - The version number.
+ * @returns {Promise<Object>} The version data.
+ * @throws {Error} If the version does not exist.
+ */
+const getVersion = async (targetType, targetId, version) => {
+   const versionDoc = await getVersionRef(targetType, targetId, version).get();
+
+   if (!versionDoc.exists) {
+      throw Error(`Version ${version} of the ${targetType} could not be found.`);
+   }
+
+   return versionDoc.data();
+};
+
+// Export functions
+module.exports = {
+   getFieldDiff,
+   updateWithVersion,
+   getVersionCollection,
+   getVersions,
+   getVersion
+}
\ No newline at end of file
@@ -0,0 +1,347 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const admin = require("firebase-admin");
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const { batchSize } = require("../common-utils/firestore-utils");
+const { removeFromIndex } = require("../common-utils/search-utils");
+const { isUserAdmin } = require("../user-management/user-auth-controller");
+
+// Types of content that can be reported
+const reportTargetTypes = ["post", "business", "chat-message"];
+
+// Reasons a content can be reported for
+const reportReasons = ["spam", "harassment", "hate-speech", "violence", "sexual-content", "misinformation", "other"];
+
+// Statuses of a report, from its creation to the moderator's decision
+const reportStatuses = ["open", "dismissed", "actioned"];
+
+// Actions a moderator can take on a report
+const moderationActions = ["dismiss", "hide", "warn", "suspend"];
+
+/**
+ * Verifies whether an object is a valid content report.
+ * @param {Object} report - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid report.
+ */
+const isReport = (report) => {
+   const schema = joi.object({
+      targetType: joi.string().valid(...reportTargetTypes).required(),
+      targetId: joi.string().alphanum().length(20).required(),
+      conversationId: joi.string().alphanum().length(20).when('targetType', {
+         is: "chat-message",
+         then: joi.required(),
+         otherwise: joi.forbidden()
+      }),
+      reason: joi.string().valid(...reportReasons).required(),
+      details: joi.string().allow(null, "").max(2000)
+   });
+
+   return !schema.validate(report).error;
+};
+
+/**
+ * Verifies whether an object is a valid moderator decision on a report.
+ * @param {Object} decision - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid decision.
+ */
+const isModerationDecision = (decision) => {
+   const schema = joi.object({
+      action: joi.string().valid(...moderationActions).required(),
+      note: joi.string().allow(null, "").max(2000).required()
+   });
+
+   return !schema.validate(decision).error;
+};
+
+/**
+ * Validates the filters of the moderation queue.
+ * @param {Object} filterParams - The object containing the "status", "targetType" and "reason" query parameters.
+ * @returns {boolean} Returns true if the filters are valid.
+ */
+const isReportFilter = (filterParams) => {
+   const schema = joi.object({
+      status: joi.string().valid(...reportStatuses),
+      targetType: joi.string().valid(...reportTargetTypes),
+      reason: joi.string().valid(...reportReasons)
+   });
+
+   return !schema.validate(filterParams).error;
+};
+
+/**
+ * Returns the reference of a reported content. Chat messages are stored under their conversation.
+ * @param {string} targetType - The type of the content ("post", "business" or "chat-message").
+ * @param {string} targetId - The ID of the content.
+ * @param {string|null} conversationId - The ID of the conversation of a chat message.
+ * @returns {Object} The content document reference.
+ */
+const getTargetRef = (targetType, targetId, conversationId) => {
+   if (targetType === "chat-message") {
+      return firestore.collection("chat-message").doc(conversationId).collection("messages").doc(targetId);
+   }
+
+   return firestore.collection(targetType).doc(targetId);
+};
+
+/**
+ * Returns the ID of the user responsible for a content: the author of a post, the owner of a
+ * business or the sender of a chat message.
+ * @param {string} targetType - The type of the content.
+ * @param {Object} content - The content data.
+ * @returns {string|null} The ID of the user, or null if the content has none.
+ */
+const getContentAuthorId = (targetType, content) => {
+   const authorFields = { post: "authorId", business: "ownerId", "chat-message": "senderId" };
+   return content[authorFields[targetType]] || null;
+};
+
+/**
+ * Reports a post, business listing or chat message for moderation. Chat messages can only be
+ * reported by the members of their conversation.
+ * @param {Object} request - The incoming request object containing the reported content and reason.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const reportContent = async (request, response) => {
+   try {
+      const newReport = request.body;
+
+      if (!isReport(newReport)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { targetType, targetId, reason, details } = newReport;
+      const conversationId = newReport.conversationId || null;
+      const reporterId = request.user.user_id;
+
+      if (targetType === "chat-message") {
+         const conversationDoc = await firestore.collection("chat-conversation").doc(conversationId).get();
+
+         if (!conversationDoc.exists
+            || ![conversationDoc.data().memberOneId, conversationDoc.data().memberTwoId].includes(reporterId)) {
+            throw Error(`Conversation with ID ${conversationId} not found.`);
+         }
+      }
+
+      const targetDoc = await getTargetRef(targetType, targetId, conversationId).get();
+
+      if (!targetDoc.exists) {
+         throw Error("The reported content could not be found.");
+      }
+
+      const authorId = getContentAuthorId(targetType, targetDoc.data());
+
+      if (authorId === reporterId) {
+         throw Error("Users cannot report their own content.");
+      }
+
+      const openSnapshot = await firestore
+         .collection("content-report")
+         .where("targetId", "==", targetId)
+         .where("reporterId", "==", reporterId)
+         .where("status", "==", "open")
+         .get();
+
+      if (!openSnapshot.empty) {
+         throw Error("The user has already reported this content.");
+      }
+
+      const reportRef = await firestore.collection("content-report").add({
+         targetType,
+         targetId,
+         conversationId,
+         authorId,
+         reporterId,
+         reason,
+         details: details || null,
+         status: "open",
+         action: null,
+         moderatorId: null,
+         moderatorNote: null,
+         timestamp: Math.floor(new Date() / 1000),
+         reviewedTimestamp: null
+      });
+
+      response.status(200).json({ reportId: reportRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the moderation queue: the content reports, optionally filtered by status, content
+ * type and reason, oldest first.
+ * @param {Object} request - The incoming request object containing the optional "status", "targetType" and "reason" query parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getContentReports = async (request, response) => {
+   try {
+      const { status, targetType, reason } = request.query;
+
+      if (!isReportFilter({ status, targetType, reason })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let reportQuery = firestore.collection("content-report");
+
+      Object.entries({ status, targetType, reason })
+         .filter(([field, value]) => value)
+         .forEach(([field, value]) => {
+            reportQuery = reportQuery.where(field, "==", value);
+         });
+
+      const querySnapshot = await reportQuery.get();
+
+      const reports = querySnapshot.docs
+         .map(doc => ({ reportId: doc.id, report: doc.data() }))
+         .sort((a, b) => a.report.timestamp - b.report.timestamp);
+
+      response.status(200).json(reports);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Hides a reported content from the listings and removes it from the search index.
+ * @param {Object} report - The report of the content.
+ * @param {string} moderatorId - The ID of the moderator hiding the content.
+ * @returns {Promise<void>}
+ * @throws {Error} If the content no longer exists.
+ */
+const hideContent = async (report, moderatorId) => {
+   const targetRef = getTargetRef(report.targetType, report.targetId, report.conversationId);
+
+   if (!(await targetRef.get()).exists) {
+      throw Error("The reported content could not be found.");
+   }
+
+   await targetRef.update({
+      isHidden: true,
+      hiddenBy: moderatorId,
+      hiddenTime: Math.floor(new Date() / 1000)
+   });
+
+   if (report.targetType !== "chat-message") {
+      await removeFromIndex(report.targetType, report.targetId);
+   }
+};
+
+/**
+ * Warns or suspends the author of a reported content. Suspended users have their account
+ * disabled and their sessions revoked.
+ * @param {Object} report - The report of the content.
+ * @param {string} action - The action taken ("warn" or "suspend").
+ * @param {string} moderatorId - The ID of the moderator taking the action.
+ * @param {string|null} note - The moderator's note, shown to the author of a warning.
+ * @returns {Promise<void>}
+ * @throws {Error} If the content has no author or its author is an administrator.
+ */
+const sanctionAuthor = async (report, action, moderatorId, note) => {
+   const authorId = report.authorId;
+
+   if (!authorId) {
+      throw Error("The reported content has no author.");
+   }
+
+   if (await isUserAdmin(authorId)) {
+      throw Error("Administrators cannot be warned or suspended.");
+   }
+
+   const timestamp = Math.floor(new Date() / 1000);
+
+   if (action === "warn") {
+      await firestore.collection("user-warning").add({
+         userId: authorId,
+         reportId: report.reportId,
+         moderatorId,
+         note: note || null,
+         timestamp
+      });
+      await firestore.collection("user-meta").doc(authorId).update({ warningCount: FieldValue.increment(1) });
+   } else {
+      await admin.auth().updateUser(authorId, { disabled: true });
+      await admin.auth().revokeRefreshTokens(authorId);
+      await firestore.collection("user-meta").doc(authorId).update({
+         isSuspended: true,
+         suspendedBy: moderatorId,
+         suspendedTime: timestamp
+      });
+   }
+};
+
+/**
+ * Applies a moderator's decision to an open report: dismisses it, hides the reported content,
+ * or warns or suspends its author. The decision closes every open report of the same content
+ * and records the moderator who took it.
+ * @param {Object} request - The incoming request object containing the report ID and decision.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const reviewContentReport = async (request, response) => {
+   try {
+      const reportId = request.params.reportId;
+
+      if (!isCollectionId(reportId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const decision = request.body;
+
+      if (!isModerationDecision(decision)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const moderatorId = request.user.user_id;
+      const reportDoc = await firestore.collection("content-report").doc(reportId).get();
+
+      if (!reportDoc.exists) {
+         throw Error(`Report with ID ${reportId} not found.`);
+      }
+
+      const report = { reportId, ...reportDoc.data() };
+
+      if (report.status !== "open") {
+         throw Error("Only open reports can be reviewed.");
+      }
+
+      if (decision.action === "hide") {
+         await hideContent(report, moderatorId);
+      } else if (decision.action !== "dismiss") {
+         await sanctionAuthor(report, decision.action, moderatorId, decision.note);
+      }
+
+      const openSnapshot = await firestore
+         .collection("content-report")
+         .where("targetId", "==", report.targetId)
+         .where("status", "==", "open")
+         .get();
+
+      const targetReports = openSnapshot.docs.filter(doc => doc.data().targetType === report.targetType);
+      const reviewedTimestamp = Math.floor(new Date() / 1000);
+
+      for (let index = 0; index < targetReports.length; index += batchSize) {
+         const batch = firestore.batch();
+         targetReports.slice(index, index + batchSize).forEach(doc => batch.update(doc.ref, {
+            status: decision.action === "dismiss" ? "dismissed" : "actioned",
+            action: decision.action,
+            moderatorId,
+            moderatorNote: decision.note || null,
+            reviewedTimestamp
+         }));
+         await batch.commit();
+      }
+
+      response.status(200).json({ closedReports: targetReports.length });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   reportContent,
+   getContentReports,
+   reviewContentReport
+};
\ No newline at end of file
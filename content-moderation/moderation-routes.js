@@ -0,0 +1,22 @@
+// Import the Express framework and create a router
+const express = require("express");
+const router = express.Router();
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
+
+// Import moderation controller functions
+const {
+   reportContent,
+   getContentReports,
+   reviewContentReport
+} = require("./moderation-controller");
+
+// Content moderation related routes
+router.post("/report-content", verifyAuthToken, reportContent);
+router.get("/get-content-reports", verifyAuthToken, verifyAdminUser, getContentReports);
+router.put("/review-content-report/:reportId", verifyAuthToken, verifyAdminUser, reviewContentReport);
+
+// Export the router with defined routes
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,222 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+
+// Slots in which a featured placement can be displayed
+const placementSlots = ["home", "search", "category"];
+
+/**
+ * Verifies whether an object is a valid featured placement campaign.
+ * @param {Object} placement - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid placement.
+ */
+const isPlacement = (placement) => {
+   const schema = joi.object({
+      targetType: joi.string().valid("business", "post").required(),
+      targetId: joi.string().alphanum().length(20).required(),
+      slot: joi.string().valid(...placementSlots).required(),
+      priority: joi.number().integer().min(1).max(100).required(),
+      startTime: joi.number().integer().min(0).required(),
+      endTime: joi.number().integer().greater(joi.ref("startTime")).required(),
+      price: joi.number().min(0).allow(null).required()
+   });
+
+   return !schema.validate(placement).error;
+};
+
+/**
+ * Retrieves the placements of a target type that are active at the current time,
+ * in priority order (1 being the highest priority).
+ * @param {string} targetType - The type of the featured documents ("business" or "post").
+ * @param {string} [slot] - The slot to restrict the placements to.
+ * @returns {Promise<Array<Object>>} The active placements.
+ * @throws {Error} If an error occurs while querying the placements.
+ */
+const getActivePlacements = async (targetType, slot) => {
+   try {
+      const now = Math.floor(new Date() / 1000);
+
+      let placementQuery = firestore
+         .collection("featured-placement")
+         .where("targetType", "==", targetType)
+         .where("endTime", ">", now);
+
+      if (slot) {
+         placementQuery = placementQuery.where("slot", "==", slot);
+      }
+
+      const querySnapshot = await placementQuery.get();
+
+      return querySnapshot.docs
+         .map(doc => ({ placementId: doc.id, ...doc.data() }))
+         .filter(placement => placement.startTime <= now)
+         .sort((a, b) => a.priority - b.priority || a.startTime - b.startTime);
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Retrieves the documents featured by the active placements of a target type. A document
+ * featured by several placements is listed once, at its highest priority, and documents hidden
+ * by a moderator are left out.
+ * @param {string} targetType - The type of the featured documents ("business" or "post").
+ * @param {string} [slot] - The slot to restrict the placements to.
+ * @returns {Promise<Array<Object>>} The featured documents with the placement featuring them.
+ * @throws {Error} If an error occurs while querying the placements or documents.
+ */
+const getFeaturedDocuments = async (targetType, slot) => {
+   const placements = (await getActivePlacements(targetType, slot))
+      .filter((placement, index, list) => {
+         return list.findIndex(other => other.targetId === placement.targetId) === index;
+      });
+
+   const docs = await Promise.all(placements.map(placement => {
+      return firestore.collection(targetType).doc(placement.targetId).get();
+   }));
+
+   return docs
+      .map((doc, index) => ({ doc, placement: placements[index] }))
+      .filter(({ doc }) => doc.exists && !doc.data().isHidden);
+};
+
+/**
+ * Creates a featured placement campaign.
+ * @param {Object} request - The incoming request object containing the placement details.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const addNewPlacement = async (request, response) => {
+   try {
+      const newPlacement = request.body;
+
+      if (!isPlacement(newPlacement)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const targetDoc = await firestore
+         .collection(newPlacement.targetType)
+         .doc(newPlacement.targetId)
+         .get();
+
+      if (!targetDoc.exists) {
+         throw Error(`The ${newPlacement.targetType} with ID ${newPlacement.targetId} not found.`);
+      }
+
+      const placementRef = await firestore.collection("featured-placement").add({
+         ...newPlacement,
+         createdBy: request.user.user_id,
+         timestamp: Math.floor(new Date() / 1000)
+      });
+
+      response.status(200).json({ placementId: placementRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Updates a featured placement campaign.
+ * @param {Object} request - The incoming request object containing the placement ID and details.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const updatePlacement = async (request, response) => {
+   try {
+      const placementId = request.params.placementId;
+
+      if (!isCollectionId(placementId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const placementUpdate = request.body;
+
+      if (!isPlacement(placementUpdate)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const placementRef = firestore.collection("featured-placement").doc(placementId);
+
+      if (!(await placementRef.get()).exists) {
+         throw Error(`Placement with ID ${placementId} not found.`);
+      }
+
+      await placementRef.update(placementUpdate);
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Deletes a featured placement campaign.
+ * @param {Object} request - The incoming request object containing the placement ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const deletePlacement = async (request, response) => {
+   try {
+      const placementId = request.params.placementId;
+
+      if (!isCollectionId(placementId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      await firestore.collection("featured-placement").doc(placementId).delete();
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves all featured placement campaigns with their current state
+ * ("scheduled", "active" or "expired"), optionally filtered by target type.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getAllPlacements = async (request, response) => {
+   try {
+      const targetType = request.query.targetType;
+
+      if (joi.string().valid("business", "post").validate(targetType).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let placementQuery = firestore.collection("featured-placement");
+
+      if (targetType) {
+         placementQuery = placementQuery.where("targetType", "==", targetType);
+      }
+
+      const querySnapshot = await placementQuery.get();
+      const now = Math.floor(new Date() / 1000);
+
+      const placements = querySnapshot.docs.map((doc) => {
+         const placement = doc.data();
+         const state = placement.startTime > now
+            ? "scheduled"
+            : placement.endTime > now ? "active" : "expired";
+
+         return { placementId: doc.id, state, placement };
+      });
+
+      placements.sort((a, b) => b.placement.startTime - a.placement.startTime);
+
+      response.status(200).json(placements);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   placementSlots,
+   getActivePlacements,
+   getFeaturedDocuments,
+   addNewPlacement,
+   updatePlacement,
+   deletePlacement,
+   getAllPlacements
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+// Import the Express framework and create a router
+const express = require("express");
+const router = express.Router();
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
+
+// Import featured placement controller functions
+const {
+   addNewPlacement,
+   updatePlacement,
+   deletePlacement,
+   getAllPlacements
+} = require("./placement-controller");
+
+// Featured placement related routes
+router.post("/add-new-placement", verifyAuthToken, verifyAdminUser, addNewPlacement);
+router.put("/update-placement/:placementId", verifyAuthToken, verifyAdminUser, updatePlacement);
+router.delete("/delete-placement/:placementId", verifyAuthToken, verifyAdminUser, deletePlacement);
+router.get("/get-all-placements", verifyAuthToken, verifyAdminUser, getAllPlacements);
+
+// Export the router with defined routes
+module.exports = router;
\ No newline at end of file
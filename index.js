@@ -6,12 +6,23 @@ const cors = require("cors");
 
 const app = express();
 
+// Bulk imports of up to a thousand rows exceed the default JSON body limit, so they are parsed
+// with a larger one before the default parser sees them
+app.use("/api/import-businesses", express.json({ limit: "5mb" }));
 app.use(express.json());
 app.use(cors());
 app.use("/api", require("./user-management/user-routes"));
 app.use("/api", require("./business-directory/business-routes"));
 app.use("/api", require("./post-system/post-routes"));
 app.use("/api", require("./live-chat/chat-routes"));
+app.use("/api", require("./search-engine/search-routes"));
+app.use("/api", require("./featured-placement/placement-routes"));
+app.use("/api", require("./seo-metadata/seo-routes"));
+app.use("/api", require("./content-moderation/moderation-routes"));
+
+// Publish the scheduled posts whose publishing time has passed, every minute
+const { publishScheduledPosts } = require("./post-system/post-controller");
+setInterval(publishScheduledPosts, 60 * 1000);
 
 app.listen(
    process.env.PORT,
@@ -83,6 +83,11 @@ const getConversationMessages = async (request, response) => {
       const messages = [];
       querySnapshot.forEach((doc) => {
          const messageData = doc.data();
+
+         if (messageData.isHidden) {
+            return;
+         }
+
          messages.push({
             messageId: doc.id,
             message: {
@@ -0,0 +1,304 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const {
+   FieldValue,
+   FieldPath
+} = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const { batchSize } = require("../common-utils/firestore-utils");
+const { getTrendingUpdate } = require("../common-utils/trending-utils");
+const { getUserProfiles } = require("../user-management/user-controller");
+
+/**
+ * Verifies whether an object is a valid new comment.
+ * @param {Object} comment - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid comment.
+ */
+const isComment = (comment) => {
+   const schema = joi.object({
+      text: joi.string().trim().min(1).max(2000).required(),
+      parentId: joi.string().alphanum().length(20).allow(null)
+   });
+
+   return !schema.validate(comment).error;
+};
+
+/**
+ * Validates the pagination parameters of a comment listing.
+ * @param {Object} pageParams - The object containing the "cursor" and "pageSize" query parameters.
+ * @returns {boolean} Returns true if the pagination parameters are valid.
+ */
+const isCommentPage = (pageParams) => {
+   const schema = joi.object({
+      cursor: joi.string().alphanum().length(20),
+      pageSize: joi.number().integer().min(1).max(50)
+   });
+
+   return !schema.validate(pageParams).error;
+};
+
+// Maximum number of values accepted by an "in" query
+const maxQueryValues = 10;
+
+/**
+ * Retrieves a comment and ensures that it was written by the given user.
+ * @param {string} commentId - The ID of the comment.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The comment document snapshot.
+ * @throws {Error} If the comment does not exist or was written by another user.
+ */
+const getOwnComment = async (commentId, userId) => {
+   const commentDoc = await firestore.collection("post-comment").doc(commentId).get();
+
+   if (!commentDoc.exists) {
+      throw Error(`Comment with ID ${commentId} not found.`);
+   }
+
+   if (commentDoc.data().authorId !== userId) {
+      throw Error("Access to resources is denied for the user.");
+   }
+
+   return commentDoc;
+};
+
+/**
+ * Orders comments from the oldest to the newest, using the ID to break ties.
+ * @param {Object} a - The first comment document snapshot.
+ * @param {Object} b - The second comment document snapshot.
+ * @returns {number} The sort order of the two comments.
+ */
+const compareComments = (a, b) => {
+   return a.data().timestamp - b.data().timestamp || a.id.localeCompare(b.id);
+};
+
+/**
+ * Adds a comment to a post, or a reply to a top-level comment of the post.
+ * @param {Object} request - The incoming request object containing the post ID and comment.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const addNewComment = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const newComment = request.body;
+
+      if (!isComment(newComment)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const parentId = newComment.parentId || null;
+      const postRef = firestore.collection("post").doc(postId);
+      const commentRef = firestore.collection("post-comment").doc();
+
+      await firestore.runTransaction(async (transaction) => {
+         const postDoc = await transaction.get(postRef);
+
+         if (!postDoc.exists) {
+            throw Error(`Post with ID ${postId} not found.`);
+         }
+
+         if (parentId) {
+            const parentRef = firestore.collection("post-comment").doc(parentId);
+            const parentDoc = await transaction.get(parentRef);
+
+            if (!parentDoc.exists || parentDoc.data().postId !== postId) {
+               throw Error(`Comment with ID ${parentId} not found.`);
+            }
+
+            if (parentDoc.data().parentId) {
+               throw Error("Replies cannot be answered; reply to the top-level comment instead.");
+            }
+
+            transaction.update(parentRef, { replyCount: FieldValue.increment(1) });
+         }
+
+         transaction.set(commentRef, {
+            postId,
+            parentId,
+            authorId: request.user.user_id,
+            text: newComment.text.trim(),
+            replyCount: 0,
+            timestamp: Math.floor(new Date() / 1000),
+            editedTimestamp: null
+         });
+         transaction.update(postRef, {
+            commentCount: FieldValue.increment(1),
+            ...getTrendingUpdate(postDoc.data(), "comment")
+         });
+      });
+
+      response.status(200).json({ commentId: commentRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Updates the text of a comment written by the authenticated user.
+ * @param {Object} request - The incoming request object containing the comment ID and new text.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const updateComment = async (request, response) => {
+   try {
+      const commentId = request.params.commentId;
+
+      if (!isCollectionId(commentId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const text = request.body.text;
+
+      if (joi.string().trim().min(1).max(2000).required().validate(text).error) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const commentDoc = await getOwnComment(commentId, request.user.user_id);
+
+      await commentDoc.ref.update({
+         text: text.trim(),
+         editedTimestamp: Math.floor(new Date() / 1000)
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Deletes a comment written by the authenticated user, together with its replies.
+ * @param {Object} request - The incoming request object containing the comment ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const deleteComment = async (request, response) => {
+   try {
+      const commentId = request.params.commentId;
+
+      if (!isCollectionId(commentId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const commentDoc = await getOwnComment(commentId, request.user.user_id);
+      const { postId, parentId } = commentDoc.data();
+
+      const replySnapshot = parentId
+         ? { docs: [] }
+         : await firestore.collection("post-comment").where("parentId", "==", commentId).get();
+
+      const deletedRefs = [commentDoc.ref, ...replySnapshot.docs.map(doc => doc.ref)];
+
+      for (let index = 0; index < deletedRefs.length; index += batchSize) {
+         const batch = firestore.batch();
+         deletedRefs.slice(index, index + batchSize).forEach(ref => batch.delete(ref));
+         await batch.commit();
+      }
+
+      const postRef = firestore.collection("post").doc(postId);
+
+      if ((await postRef.get()).exists) {
+         await postRef.update({ commentCount: FieldValue.increment(-deletedRefs.length) });
+      }
+
+      if (parentId) {
+         const parentRef = firestore.collection("post-comment").doc(parentId);
+
+         if ((await parentRef.get()).exists) {
+            await parentRef.update({ replyCount: FieldValue.increment(-1) });
+         }
+      }
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves a page of the top-level comments of a post, oldest first, each with its replies and
+ * the display name and photo of every author. The "nextCursor" of the response is passed as
+ * the "cursor" query parameter to fetch the following page.
+ * @param {Object} request - The incoming request object containing the post ID and pagination parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getPostComments = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const { cursor, pageSize = 20 } = request.query;
+
+      if (!isCommentPage({ cursor, pageSize })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let commentQuery = firestore
+         .collection("post-comment")
+         .where("postId", "==", postId)
+         .where("parentId", "==", null)
+         .orderBy("timestamp")
+         .orderBy(FieldPath.documentId());
+
+      if (cursor) {
+         const cursorDoc = await firestore.collection("post-comment").doc(cursor).get();
+
+         if (!cursorDoc.exists || cursorDoc.data().postId !== postId || cursorDoc.data().parentId) {
+            throw Error("The query parameters provided are not valid or acceptable.");
+         }
+
+         commentQuery = commentQuery.startAfter(cursorDoc);
+      }
+
+      const querySnapshot = await commentQuery.limit(Number(pageSize) + 1).get();
+      const hasMore = querySnapshot.docs.length > Number(pageSize);
+      const pageDocs = querySnapshot.docs.slice(0, Number(pageSize));
+      const pageIds = pageDocs.map(doc => doc.id);
+      const replySnapshots = [];
+
+      for (let index = 0; index < pageIds.length; index += maxQueryValues) {
+         replySnapshots.push(await firestore
+            .collection("post-comment")
+            .where("parentId", "in", pageIds.slice(index, index + maxQueryValues))
+            .get());
+      }
+
+      const replyDocs = replySnapshots.flatMap(snapshot => snapshot.docs).sort(compareComments);
+
+      const profiles = await getUserProfiles([...pageDocs, ...replyDocs].map(doc => doc.data().authorId));
+      const toComment = (doc) => ({
+         commentId: doc.id,
+         comment: {
+            ...doc.data(),
+            author: profiles.get(doc.data().authorId)
+         }
+      });
+
+      const comments = pageDocs.map(doc => ({
+         ...toComment(doc),
+         replies: replyDocs.filter(reply => reply.data().parentId === doc.id).map(toComment)
+      }));
+
+      response.status(200).json({
+         comments,
+         nextCursor: hasMore ? pageDocs[pageDocs.length - 1].id : null
+      });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   addNewComment,
+   updateComment,
+   deleteComment,
+   getPostComments
+};
\ No newline at end of file
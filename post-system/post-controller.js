@@ -5,14 +5,49 @@ const path = require('path');
 const joi = require('joi');
 const {
    isFilePath,
-   isCollectionId
+   isCollectionId,
+   isSlug
 } = require("../common-utils/validation-utils")
 const {
    getFileURLWithSuffix,
+   getFileURL,
    deleteFilesInFolder,
    uploadFileToFolder,
-   findFeatImageFile
+   findFeatImageFile,
+   copyFile
 } = require("../common-utils/storage-utils")
+const {
+   indexPost,
+   removeFromIndex
+} = require("../common-utils/search-utils");
+const {
+   placementSlots,
+   getFeaturedDocuments
+} = require("../featured-placement/placement-controller");
+const { updateTagUsage } = require("../common-utils/tag-utils");
+const { removeTargetFromFavourites } = require("../user-management/favourite-controller");
+const {
+   batchSize,
+   deleteQueryDocuments
+} = require("../common-utils/firestore-utils");
+const { isUserAdmin } = require("../user-management/user-auth-controller");
+const { renderMarkdown } = require("../common-utils/markdown-utils");
+const {
+   assignSlug,
+   findBySlug,
+   removeSlugs
+} = require("../common-utils/slug-utils");
+const {
+   getEmptyReactionCounts,
+   withUserReactions
+} = require("./post-reaction-controller");
+const {
+   updateWithVersion,
+   getVersionCollection
+} = require("../common-utils/version-utils");
+
+// Lifecycle statuses of a post
+const postStatuses = ["draft", "scheduled", "published", "archived"];
 
 /**
  * Verifies whether an object is a valid Post.
@@ -24,38 +59,263 @@ const isPost = (post) => {
       title: joi.string().required(),
       content: joi.string().allow(null).required(),
       tags: joi.array().items(joi.string().alphanum().length(20)).allow(null).required(),
-      isFeatured: joi.boolean().required(),
       featuredImageURL: joi.string().uri().allow(null).required(),
-      timestamp: joi.number().integer().min(0).required(),
-      authorId: joi.string().alphanum().length(28).required()
+      authorId: joi.string().alphanum().length(28).required(),
+      businessId: joi.string().alphanum().length(20).allow(null)
    });
 
    return !schema.validate(post).error;
 };
 
 /**
- * Adds a new post to the Firestore database.
+ * Ensures that a post published on behalf of a business is written by the owner of the business,
+ * or edited by an administrator.
+ * @param {Object} post - The validated post data.
+ * @param {string} userId - The ID of the authenticated user writing the post.
+ * @returns {Promise<void>}
+ * @throws {Error} If the business does not exist or belongs to another user.
+ */
+const assertPostBusiness = async (post, userId) => {
+   if (!post.businessId) {
+      return;
+   }
+
+   const businessDoc = await firestore.collection("business").doc(post.businessId).get();
+
+   if (!businessDoc.exists) {
+      throw Error(`Business with ID ${post.businessId} not found.`);
+   }
+
+   if (businessDoc.data().ownerId !== userId && !await isUserAdmin(userId)) {
+      throw Error("Only the owner of a business can publish posts on its behalf.");
+   }
+};
+
+/**
+ * Verifies whether an object is a valid post status change. Scheduled posts need a publishing
+ * time in the future.
+ * @param {Object} postStatus - The object containing the "status" and "publishAt" fields.
+ * @returns {boolean} Returns true if the provided object is a valid status change.
+ */
+const isPostStatus = (postStatus) => {
+   const schema = joi.object({
+      status: joi.string().valid(...postStatuses).required(),
+      publishAt: joi.when("status", {
+         is: "scheduled",
+         then: joi.number().integer().greater(Math.floor(new Date() / 1000)).required(),
+         otherwise: joi.valid(null)
+      })
+   });
+
+   return !schema.validate(postStatus).error;
+};
+
+/**
+ * Returns the status a post currently has, counting scheduled posts whose publishing time
+ * has passed as published even before the scheduler has updated them. Posts written before
+ * statuses existed are published, and posts hidden by a moderator are "hidden" whatever their status.
+ * @param {Object} post - The post data.
+ * @returns {string} The effective status of the post.
+ */
+const getEffectiveStatus = (post) => {
+   const status = post.status || "published";
+
+   if (post.isHidden) {
+      return "hidden";
+   }
+
+   if (status === "scheduled" && post.publishAt <= Math.floor(new Date() / 1000)) {
+      return "published";
+   }
+
+   return status;
+};
+
+/**
+ * Returns the time a post was published, falling back on older time fields.
+ * @param {Object} post - The post data.
+ * @returns {number} The publishing time, as a Unix timestamp in seconds.
+ */
+const getPublishedTime = (post) => {
+   return post.publishedTime || post.publishAt || post.createdTime || post.timestamp || 0;
+};
+
+/**
+ * Builds the status fields of a post entering a status. The publishing time is kept from the
+ * first publication, so that archiving and republishing a post does not move it.
+ * @param {string} status - The new status.
+ * @param {number|null} publishAt - The publishing time of a scheduled post.
+ * @param {Object} [previousPost] - The post data before the change.
+ * @returns {Object} The "status", "publishAt" and "publishedTime" fields.
+ */
+const getStatusFields = (status, publishAt, previousPost = {}) => ({
+   status,
+   publishAt: status === "scheduled" ? publishAt : null,
+   publishedTime: status === "published"
+      ? previousPost.publishedTime || Math.floor(new Date() / 1000)
+      : previousPost.publishedTime || null
+});
+
+/**
+ * Keeps the listed posts a user may see: published posts, and the user's own posts in any
+ * status. When a status is requested, only posts in that status are kept, and administrators
+ * see the posts of every author.
+ * @param {Array<Object>} posts - The listed posts, as objects with "postId" and "post".
+ * @param {Object} request - The incoming request object with the authenticated user and "status" query parameter.
+ * @returns {Promise<Array<Object>>} The visible posts, with their effective status.
+ */
+const filterVisiblePosts = async (posts, request) => {
+   const userId = request.user.user_id;
+   const status = request.query.status;
+   const canSeeAll = status && status !== "published" && await isUserAdmin(userId);
+
+   return posts
+      .map(item => ({ ...item, post: { ...item.post, status: getEffectiveStatus(item.post) } }))
+      .filter(({ post }) => {
+         const isVisible = post.status === "published" || post.authorId === userId || canSeeAll;
+         return isVisible && (!status || post.status === status);
+      });
+};
+
+/**
+ * Publishes the scheduled posts whose publishing time has passed and adds them to the search index.
+ * @returns {Promise<number>} The number of published posts.
+ */
+const publishScheduledPosts = async () => {
+   try {
+      const querySnapshot = await firestore.collection("post").where("status", "==", "scheduled").get();
+      const dueDocs = querySnapshot.docs.filter(doc => getEffectiveStatus(doc.data()) === "published");
+
+      for (const doc of dueDocs) {
+         const publishedPost = {
+            ...doc.data(),
+            status: "published",
+            publishAt: null,
+            publishedTime: doc.data().publishAt
+         };
+
+         await doc.ref.update({
+            status: publishedPost.status,
+            publishAt: publishedPost.publishAt,
+            publishedTime: publishedPost.publishedTime
+         });
+         await indexPost(doc.id, publishedPost);
+      }
+
+      return dueDocs.length;
+   } catch (error) {
+      console.error("Scheduled posts could not be published: %s", error.message);
+      return 0;
+   }
+};
+
+/**
+ * Adds a new post to the Firestore database, as a draft unless another status is given.
+ * Images embedded in the content as "storage:file-name" are uploaded beforehand with
+ * "upload-new-post-content-image", and copied into the storage folder of the new post.
  * @param {Object} request - The incoming request object containing the post details.
  * @param {Object} response - The response object used to send the result back to the client.
  */
 const addNewPost = async (request, response) => {
    try {
-      const newPost = request.body;
+      const { status = "draft", publishAt = null, ...newPost } = request.body;
 
-      if (!isPost(newPost)) {
+      if (!isPost(newPost) || !isPostStatus({ status, publishAt })) {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const postRef = await firestore.collection("post").add(newPost);
+      if (newPost.authorId !== request.user.user_id) {
+         throw Error("Posts can only be added on behalf of the authenticated user.");
+      }
+
+      await assertPostBusiness(newPost, request.user.user_id);
+
+      const postRef = firestore.collection("post").doc();
+      const timestamp = Math.floor(new Date() / 1000);
+      const post = {
+         ...newPost,
+         ...await renderNewPostContent(postRef.id, newPost.authorId, newPost.content),
+         ...getStatusFields(status, publishAt),
+         createdTime: timestamp,
+         updatedTime: timestamp,
+         favouriteCount: 0,
+         commentCount: 0,
+         reactionCounts: getEmptyReactionCounts(),
+         viewCount: 0,
+         trendingScore: 0,
+         trendingTime: timestamp
+      };
+
+      await postRef.set(post);
+
+      const slug = await assignSlug("post", postRef.id, newPost.title);
+
+      await indexPost(postRef.id, post);
 
-      response.status(200).json({ postId: postRef.id });
+      await updateTagUsage("post-tag", [], newPost.tags);
+
+      response.status(200).json({ postId: postRef.id, slug });
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
 }
 
 /**
- * Updates a post in the Firestore database.
+ * Renders the Markdown content of a post, resolving the images uploaded to its storage folder.
+ * @param {string} postId - The ID of the post.
+ * @param {string|null} content - The Markdown source of the post.
+ * @returns {Promise<Object>} The "contentHTML", "excerpt" and "readingTime" fields of the post.
+ * @throws {Error} If the content references a file that was not uploaded.
+ */
+const renderPostContent = (postId, content) => {
+   return renderMarkdown(content, fileName => getFileURL(`post/${postId}/content/${fileName}`));
+};
+
+/**
+ * Renders the Markdown content of a post being added, copying the images its author uploaded
+ * before the post existed into the storage folder of the post.
+ * @param {string} postId - The ID of the new post.
+ * @param {string} authorId - The ID of the author of the post.
+ * @param {string|null} content - The Markdown source of the post.
+ * @returns {Promise<Object>} The "contentHTML", "excerpt" and "readingTime" fields of the post.
+ * @throws {Error} If the content references a file that was not uploaded.
+ */
+const renderNewPostContent = (postId, authorId, content) => {
+   return renderMarkdown(content, (fileName) => {
+      return copyFile(`post-upload/${authorId}/${fileName}`, `post/${postId}/content/${fileName}`);
+   });
+};
+
+/**
+ * Writes a validated update to a post, stores it as a new version and keeps its slug, the
+ * search index and tag usage counts in sync.
+ * @param {string} postId - The ID of the post.
+ * @param {Object} postUpdate - The validated post fields.
+ * @param {string} editorId - The ID of the user who made the change.
+ * @param {number|null} [restoredFrom] - The version restored by this update, if any.
+ * @returns {Promise<void>}
+ * @throws {Error} If the post does not exist or its business belongs to another user.
+ */
+const savePostUpdate = async (postId, postUpdate, editorId, restoredFrom = null) => {
+   await assertPostBusiness(postUpdate, editorId);
+
+   const documentUpdate = {
+      ...postUpdate,
+      ...await renderPostContent(postId, postUpdate.content),
+      updatedTime: Math.floor(new Date() / 1000)
+   };
+   const previousData = await updateWithVersion("post", postId, postUpdate, documentUpdate, editorId, restoredFrom);
+
+   await assignSlug("post", postId, postUpdate.title, previousData.slug);
+
+   await indexPost(postId, { ...previousData, ...documentUpdate });
+
+   await updateTagUsage("post-tag", previousData.tags, postUpdate.tags);
+};
+
+/**
+ * Updates a post in the Firestore database. Only the author of the post or an administrator
+ * may update it, and the author of a post cannot be changed.
  * @param {Object} request - The incoming request object containing post update details.
  * @param {Object} response - The response object used to send the result back to the client.
  */
@@ -73,8 +333,22 @@ const updatePost = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const postRef = firestore.collection("post").doc(postId);
-      await postRef.update(postUpdate);
+      const userId = request.user.user_id;
+      const postDoc = await firestore.collection("post").doc(postId).get();
+
+      if (!postDoc.exists) {
+         throw Error(`Post with ID ${postId} not found.`);
+      }
+
+      if (postDoc.data().authorId !== userId && !await isUserAdmin(userId)) {
+         throw Error("Access to resources is denied for the user.");
+      }
+
+      if (postUpdate.authorId !== postDoc.data().authorId) {
+         throw Error("The author of a post cannot be changed.");
+      }
+
+      await savePostUpdate(postId, postUpdate, userId);
 
       response.sendStatus(200);
    } catch (error) {
@@ -82,6 +356,84 @@ const updatePost = async (request, response) => {
    }
 }
 
+/**
+ * Changes the status of a post: saves it as a draft, schedules, publishes or archives it.
+ * Only the author of the post or an administrator may change its status.
+ * @param {Object} request - The incoming request object containing the post ID, status and publishing time.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const updatePostStatus = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const { status, publishAt = null } = request.body;
+
+      if (!isPostStatus({ status, publishAt })) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const postRef = firestore.collection("post").doc(postId);
+      const postDoc = await postRef.get();
+
+      if (!postDoc.exists) {
+         throw Error(`Post with ID ${postId} not found.`);
+      }
+
+      if (postDoc.data().authorId !== userId && !await isUserAdmin(userId)) {
+         throw Error("Access to resources is denied for the user.");
+      }
+
+      const statusUpdate = {
+         ...getStatusFields(status, publishAt, postDoc.data()),
+         updatedTime: Math.floor(new Date() / 1000)
+      };
+
+      await postRef.update(statusUpdate);
+
+      await indexPost(postId, { ...postDoc.data(), ...statusUpdate });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Gives the "published" status and a publishing time to the posts created before statuses
+ * existed, so that the feeds, which query on both fields, list them.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the number of updated posts back to the client.
+ */
+const assignMissingPostStatuses = async (request, response) => {
+   try {
+      const querySnapshot = await firestore.collection("post").get();
+      const legacyDocs = querySnapshot.docs.filter(doc => !doc.data().status);
+
+      for (let index = 0; index < legacyDocs.length; index += batchSize) {
+         const batch = firestore.batch();
+
+         legacyDocs.slice(index, index + batchSize).forEach((doc) => {
+            batch.update(doc.ref, {
+               status: "published",
+               publishAt: null,
+               publishedTime: getPublishedTime(doc.data())
+            });
+         });
+
+         await batch.commit();
+      }
+
+      response.status(200).json({ post: legacyDocs.length });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
 /**
  * Deletes a post from the Firestore database and associated files.
  * @param {Object} request - The incoming request object containing post deletion details.
@@ -95,7 +447,40 @@ const deletePostAndFiles = async (request, response) => {
          throw Error("The request parameter provided is not valid or acceptable.");
       }
 
-      await firestore.collection("post").doc(postId).delete();
+      const postRef = firestore.collection("post").doc(postId);
+      const postDoc = await postRef.get();
+
+      await postRef.delete();
+
+      await removeFromIndex("post", postId);
+
+      if (postDoc.exists) {
+         await updateTagUsage("post-tag", postDoc.data().tags, []);
+      }
+
+      await removeTargetFromFavourites("post", postId);
+
+      await deleteQueryDocuments(
+         firestore,
+         firestore.collection(getVersionCollection("post")).where("targetId", "==", postId)
+      );
+
+      await deleteQueryDocuments(
+         firestore,
+         firestore.collection("post-comment").where("postId", "==", postId)
+      );
+
+      await deleteQueryDocuments(
+         firestore,
+         firestore.collection("post-reaction").where("postId", "==", postId)
+      );
+
+      await deleteQueryDocuments(
+         firestore,
+         firestore.collection("post-view").where("postId", "==", postId)
+      );
+
+      await removeSlugs("post", postId);
 
       await deleteFilesInFolder(`post/${postId}/`);
 
@@ -112,6 +497,10 @@ const deletePostAndFiles = async (request, response) => {
  */
 const getAllPosts = async (request, response) => {
    try {
+      if (joi.string().valid(...postStatuses).validate(request.query.status).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
       const querySnapshot = await firestore.collection('post').get();
 
       const posts = [];
@@ -125,7 +514,48 @@ const getAllPosts = async (request, response) => {
          });
       });
 
-      response.status(200).json(posts);
+      const visiblePosts = await filterVisiblePosts(posts, request);
+
+      response.status(200).json(await withUserReactions(visiblePosts, request.user.user_id));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves a post by its current or former slug. Former slugs are redirected to the current
+ * one, and posts that are not published are only found by their author and administrators.
+ * @param {Object} request - The incoming request object containing the slug.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getPostBySlug = async (request, response) => {
+   try {
+      const slug = request.params.slug;
+
+      if (!isSlug(slug)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const postDoc = await findBySlug("post", slug);
+      const userId = request.user.user_id;
+
+      if (!postDoc) {
+         throw Error(`Post with slug ${slug} not found.`);
+      }
+
+      const post = { ...postDoc.data(), status: getEffectiveStatus(postDoc.data()) };
+
+      if (post.status !== "published" && post.authorId !== userId && !await isUserAdmin(userId)) {
+         throw Error(`Post with slug ${slug} not found.`);
+      }
+
+      if (post.slug !== slug) {
+         return response.redirect(308, `${request.baseUrl}/get-post-by-slug/${post.slug}`);
+      }
+
+      const [postItem] = await withUserReactions([{ postId: postDoc.id, post }], userId);
+
+      response.status(200).json(postItem);
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
@@ -148,9 +578,9 @@ const isSearchParameters = (searchParams) => {
 
 const getPostsByTag = async (request, response) => {
    try {
-      const { tags } = request.query;
+      const { tags, status } = request.query;
 
-      if (!isSearchParameters({ tags })) {
+      if (!isSearchParameters({ tags }) || joi.string().valid(...postStatuses).validate(status).error) {
          throw Error("The query parameters provided are not valid or acceptable.");
       }
 
@@ -170,42 +600,108 @@ const getPostsByTag = async (request, response) => {
          });
       });
 
-      response.status(200).json(matchedPosts);
+      const visiblePosts = await filterVisiblePosts(matchedPosts, request);
+
+      response.status(200).json(await withUserReactions(visiblePosts, request.user.user_id));
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
 };
 
 /**
- * Retrieves a list of featured posts from the Firestore database.
- * Posts with the 'isFeatured' field set to true are returned.
+ * Retrieves the posts featured by the currently active placements, in priority order.
+ * The 'slot' query parameter restricts the placements to a single slot.
  * @param {Object} request - The incoming request object.
  * @param {Object} response - The response object used to send the result back to the client.
  */
 const getFeatPosts = async (request, response) => {
    try {
-      const querySnapshot = await firestore
-         .collection("post")
-         .where("isFeatured", "==", true)
-         .get();
+      const slot = request.query.slot;
 
-      const featPosts = [];
-      querySnapshot.forEach((doc) => {
-         const postData = doc.data();
-         featPosts.push({
+      if (joi.string().valid(...placementSlots).validate(slot).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const featuredDocuments = await getFeaturedDocuments("post", slot);
+
+      const featPosts = featuredDocuments
+         .filter(({ doc }) => getEffectiveStatus(doc.data()) === "published")
+         .map(({ doc, placement }) => ({
             postId: doc.id,
+            placement: {
+               placementId: placement.placementId,
+               slot: placement.slot,
+               priority: placement.priority,
+               endTime: placement.endTime
+            },
             post: {
-               ...postData
+               ...doc.data(),
+               status: "published"
             }
-         });
-      });
+         }));
 
-      response.status(200).json(featPosts);
+      response.status(200).json(await withUserReactions(featPosts, request.user.user_id));
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
 };
 
+/**
+ * Uploads an image to the storage folder of a post, to be embedded in its content with the
+ * returned "storage:" reference.
+ * @param {Object} request - The HTTP request object containing the post ID and local file path.
+ * @param {Object} response - The HTTP response object.
+ */
+const uploadPostContentImage = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const localFilePath = request.body.localFilePath;
+
+      if (!isFilePath(localFilePath)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      if (!(await firestore.collection("post").doc(postId).get()).exists) {
+         throw Error(`Post with ID ${postId} not found.`);
+      }
+
+      const fileName = path.basename(localFilePath).replace(/[^\w.-]+/g, '-');
+      const fileURL = await uploadFileToFolder(`post/${postId}/content`, localFilePath, fileName);
+
+      response.status(200).json({ fileName, fileURL, reference: `storage:${fileName}` });
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
+/**
+ * Uploads an image for a post that is not added yet, to the upload folder of the authenticated
+ * user. Content passed to "add-new-post" embeds it with the returned "storage:" reference.
+ * @param {Object} request - The HTTP request object containing the local file path.
+ * @param {Object} response - The HTTP response object.
+ */
+const uploadNewPostContentImage = async (request, response) => {
+   try {
+      const localFilePath = request.body.localFilePath;
+
+      if (!isFilePath(localFilePath)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const fileName = path.basename(localFilePath).replace(/[^\w.-]+/g, '-');
+      const fileURL = await uploadFileToFolder(`post-upload/${request.user.user_id}`, localFilePath, fileName);
+
+      response.status(200).json({ fileName, fileURL, reference: `storage:${fileName}` });
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
 /**
  * Retrieves the featured image URL for a specific post.
  * @param {object} request - The request object containing parameters.
@@ -284,13 +780,23 @@ const uploadPostFeatImage = async (request, response) => {
 
 // Export controller functions
 module.exports = {
+   isPost,
+   getEffectiveStatus,
+   getPublishedTime,
+   savePostUpdate,
+   publishScheduledPosts,
    addNewPost,
    updatePost,
+   updatePostStatus,
+   assignMissingPostStatuses,
    deletePostAndFiles,
    getAllPosts,
+   getPostBySlug,
    getPostsByTag,
    getFeatPosts,
    getPostFeatImage,
    deletePostFeatImage,
-   uploadPostFeatImage
+   uploadPostFeatImage,
+   uploadPostContentImage,
+   uploadNewPostContentImage
 }
\ No newline at end of file
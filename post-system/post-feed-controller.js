@@ -0,0 +1,252 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const crypto = require('crypto');
+const joi = require('joi');
+const { FieldPath } = require("firebase").firestore;
+const {
+   buildRss,
+   buildAtom
+} = require("../common-utils/feed-utils");
+const { getUserProfiles } = require("../user-management/user-controller");
+const { getFollowedIds } = require("../user-management/follow-controller");
+const { getFeaturedDocuments } = require("../featured-placement/placement-controller");
+const { withUserReactions } = require("./post-reaction-controller");
+const {
+   getEffectiveStatus,
+   getPublishedTime
+} = require("./post-controller");
+
+// Maximum number of posts listed in a feed
+const maxFeedEntries = 50;
+
+// Number of seconds feed readers may cache a feed before polling again
+const feedMaxAge = 300;
+
+// Maximum number of values accepted by an "in" or "array-contains-any" query
+const maxQueryValues = 10;
+
+/**
+ * Validates the parameters of a feed request.
+ * @param {Object} feedParams - The object containing the "format" and optional "tagSlug" parameters.
+ * @returns {boolean} Returns true if the parameters are valid.
+ */
+const isFeedRequest = (feedParams) => {
+   const schema = joi.object({
+      format: joi.string().valid("rss", "atom").required(),
+      tagSlug: joi.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(200)
+   });
+
+   return !schema.validate(feedParams).error;
+};
+
+/**
+ * Validates the pagination parameters of the personalized feed.
+ * @param {Object} pageParams - The object containing the "cursor" and "pageSize" query parameters.
+ * @returns {boolean} Returns true if the pagination parameters are valid.
+ */
+const isFeedPage = (pageParams) => {
+   const schema = joi.object({
+      cursor: joi.string().regex(/^\d+_[A-Za-z0-9]{20}$/),
+      pageSize: joi.number().integer().min(1).max(50)
+   });
+
+   return !schema.validate(pageParams).error;
+};
+
+/**
+ * Splits a list of values into chunks small enough for a single query.
+ * @param {Array<string>} values - The values to split.
+ * @returns {Array<Array<string>>} The chunks of values.
+ */
+const toQueryChunks = (values) => {
+   const chunks = [];
+
+   for (let index = 0; index < values.length; index += maxQueryValues) {
+      chunks.push(values.slice(index, index + maxQueryValues));
+   }
+
+   return chunks;
+};
+
+/**
+ * Serves the RSS 2.0 or Atom feed of the published posts, newest first, optionally restricted
+ * to the posts of a tag. The ETag and Last-Modified headers let feed readers poll the feed
+ * with conditional requests, answered with an empty "304 Not Modified" when nothing changed.
+ * The query relies on the "status" and "publishedTime" fields, which posts written before
+ * statuses existed get from the "assign-missing-post-statuses" route, and on the composite
+ * indexes declared in firestore.indexes.json.
+ * @param {Object} request - The incoming request object containing the feed format and optional tag slug.
+ * @param {Object} response - The response object used to send the feed back to the client.
+ */
+const getPostFeed = async (request, response) => {
+   try {
+      const { format, tagSlug } = request.params;
+
+      if (!isFeedRequest({ format, tagSlug })) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      let postQuery = firestore.collection("post");
+      let tag = null;
+
+      if (tagSlug) {
+         const tagSnapshot = await firestore.collection("post-tag").where("slug", "==", tagSlug).limit(1).get();
+
+         if (tagSnapshot.empty) {
+            throw Error("Tag not found.");
+         }
+
+         tag = tagSnapshot.docs[0].data();
+         postQuery = postQuery.where("tags", "array-contains", tagSnapshot.docs[0].id);
+      }
+
+      const querySnapshot = await postQuery
+         .where("status", "==", "published")
+         .orderBy("publishedTime", "desc")
+         .limit(maxFeedEntries)
+         .get();
+      const postDocs = querySnapshot.docs.filter(doc => getEffectiveStatus(doc.data()) === "published");
+
+      const profiles = await getUserProfiles(postDocs.map(doc => doc.data().authorId));
+      const siteURL = process.env.SITE_URL || process.env.HOST_URL;
+
+      const entries = postDocs.map((doc) => {
+         const post = doc.data();
+         const published = getPublishedTime(post);
+
+         return {
+            id: `${siteURL}/posts/${doc.id}`,
+            title: post.title,
+            summary: post.excerpt || '',
+            link: `${siteURL}/posts/${post.slug || doc.id}`,
+            author: profiles.get(post.authorId).displayName,
+            published: new Date(published * 1000),
+            updated: new Date(Math.max(published, post.updatedTime || 0) * 1000),
+            imageURL: post.featuredImageURL
+         };
+      });
+
+      const updated = new Date(Math.max(0, ...entries.map(entry => entry.updated.getTime())));
+      const feed = {
+         id: `${siteURL}/posts${tagSlug ? `/tags/${tagSlug}` : ''}`,
+         title: tag ? `Posts tagged "${tag.name}"` : "Latest posts",
+         description: tag ? `The latest posts tagged "${tag.name}".` : "The latest posts.",
+         link: `${siteURL}/posts${tagSlug ? `/tags/${tagSlug}` : ''}`,
+         selfURL: `${process.env.HOST_URL}${request.originalUrl}`,
+         updated
+      };
+
+      const body = format === "rss" ? buildRss(feed, entries) : buildAtom(feed, entries);
+      const etag = `"${crypto.createHash('sha1').update(body).digest('base64')}"`;
+
+      response.set({
+         'Content-Type': format === "rss" ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8',
+         'Cache-Control': `public, max-age=${feedMaxAge}`,
+         'ETag': etag,
+         'Last-Modified': updated.toUTCString()
+      });
+
+      if (request.fresh) {
+         return response.sendStatus(304);
+      }
+
+      response.status(200).send(body);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the personalized feed of the authenticated user: the published posts of the post
+ * tags and businesses the user follows, newest first. The "nextCursor" of the response is passed
+ * as the "cursor" query parameter to fetch the following page. Users who follow nothing get the
+ * featured posts instead, flagged with "isFallback".
+ * @param {Object} request - The incoming request object containing the pagination parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getMyFeed = async (request, response) => {
+   try {
+      const { cursor, pageSize = 20 } = request.query;
+
+      if (!isFeedPage({ cursor, pageSize })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const followedIds = await getFollowedIds(userId);
+      const tagIds = followedIds["post-tag"];
+      const businessIds = followedIds.business;
+
+      if (tagIds.length === 0 && businessIds.length === 0) {
+         const featuredDocuments = await getFeaturedDocuments("post");
+         const featPosts = featuredDocuments
+            .filter(({ doc }) => getEffectiveStatus(doc.data()) === "published")
+            .map(({ doc }) => ({ postId: doc.id, post: { ...doc.data(), status: "published" } }));
+
+         return response.status(200).json({
+            posts: await withUserReactions(featPosts, userId),
+            nextCursor: null,
+            isFallback: true
+         });
+      }
+
+      // Every chunk query returns its own newest page after the cursor; merging them and keeping
+      // the newest posts gives the page of the whole feed. Legacy posts are listed once the
+      // "assign-missing-post-statuses" route has backfilled their status, and the queries use
+      // the composite indexes declared in firestore.indexes.json
+      const postCollection = firestore.collection("post");
+      const toPageQuery = (query) => {
+         let pageQuery = query
+            .where("status", "==", "published")
+            .orderBy("publishedTime", "desc")
+            .orderBy(FieldPath.documentId(), "desc");
+
+         if (cursor) {
+            const [cursorTime, cursorId] = cursor.split('_');
+            pageQuery = pageQuery.startAfter(Number(cursorTime), cursorId);
+         }
+
+         return pageQuery.limit(Number(pageSize)).get();
+      };
+
+      const snapshots = await Promise.all([
+         ...toQueryChunks(tagIds).map(ids => toPageQuery(postCollection.where("tags", "array-contains-any", ids))),
+         ...toQueryChunks(businessIds).map(ids => toPageQuery(postCollection.where("businessId", "in", ids)))
+      ]);
+
+      const postDocs = new Map();
+      snapshots.forEach(snapshot => snapshot.docs.forEach(doc => postDocs.set(doc.id, doc)));
+
+      const posts = [...postDocs.values()]
+         .map(doc => ({
+            postId: doc.id,
+            publishedTime: doc.data().publishedTime,
+            post: { ...doc.data(), status: getEffectiveStatus(doc.data()) }
+         }))
+         .sort((a, b) => b.publishedTime - a.publishedTime || (a.postId < b.postId) - (a.postId > b.postId));
+
+      const pagePosts = posts.slice(0, Number(pageSize));
+      const lastPost = pagePosts[pagePosts.length - 1];
+      const hasMore = posts.length > pagePosts.length
+         || snapshots.some(snapshot => snapshot.size === Number(pageSize));
+
+      const listedPosts = pagePosts
+         .filter(item => item.post.status === "published")
+         .map(({ postId, post }) => ({ postId, post }));
+
+      response.status(200).json({
+         posts: await withUserReactions(listedPosts, userId),
+         nextCursor: hasMore ? `${lastPost.publishedTime}_${lastPost.postId}` : null,
+         isFallback: false
+      });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getPostFeed,
+   getMyFeed
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const { getTrendingUpdate } = require("../common-utils/trending-utils");
+const { getUserProfiles } = require("../user-management/user-controller");
+
+// Reactions a user can give to a post, one of each type at most
+const reactionTypes = ["like", "love", "laugh", "wow", "sad", "angry"];
+
+// Maximum number of values accepted by an "in" query
+const maxQueryValues = 10;
+
+/**
+ * Verifies whether a value is a supported reaction type.
+ * @param {string} type - The value to be verified.
+ * @returns {boolean} Returns true if the provided value is a reaction type.
+ */
+const isReactionType = (type) => {
+   return !joi.string().valid(...reactionTypes).required().validate(type).error;
+};
+
+/**
+ * Returns the reference of a reaction given by a user to a post.
+ * @param {string} postId - The ID of the post.
+ * @param {string} userId - The ID of the user.
+ * @param {string} type - The reaction type.
+ * @returns {Object} The reaction document reference.
+ */
+const getReactionRef = (postId, userId, type) => {
+   return firestore.collection("post-reaction").doc(`${postId}_${userId}_${type}`);
+};
+
+/**
+ * Returns the reaction counts of a new post, all set to zero.
+ * @returns {Object} The reaction counts keyed by reaction type.
+ */
+const getEmptyReactionCounts = () => Object.fromEntries(reactionTypes.map(type => [type, 0]));
+
+/**
+ * Adds to each listed post the reaction counts and the reactions given by a user. Only the
+ * reactions to the listed posts that have any are read.
+ * @param {Array<Object>} posts - The listed posts, as objects with "postId" and "post".
+ * @param {string} userId - The ID of the user viewing the posts.
+ * @returns {Promise<Array<Object>>} The posts with their "reactionCounts" and "userReactions".
+ */
+const withUserReactions = async (posts, userId) => {
+   const reactedPostIds = posts
+      .filter(item => Object.values(item.post.reactionCounts || {}).some(count => count > 0))
+      .map(item => item.postId);
+   const userReactions = new Map();
+
+   for (let index = 0; index < reactedPostIds.length; index += maxQueryValues) {
+      const querySnapshot = await firestore
+         .collection("post-reaction")
+         .where("userId", "==", userId)
+         .where("postId", "in", reactedPostIds.slice(index, index + maxQueryValues))
+         .get();
+
+      querySnapshot.docs.forEach((doc) => {
+         const { postId, type } = doc.data();
+         userReactions.set(postId, [...(userReactions.get(postId) || []), type]);
+      });
+   }
+
+   return posts.map(item => ({
+      ...item,
+      post: {
+         ...item.post,
+         reactionCounts: { ...getEmptyReactionCounts(), ...item.post.reactionCounts }
+      },
+      userReactions: userReactions.get(item.postId) || []
+   }));
+};
+
+/**
+ * Adds a reaction of the authenticated user to a post.
+ * @param {Object} request - The incoming request object containing the post ID and reaction type.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const addPostReaction = async (request, response) => {
+   try {
+      const { postId, type } = request.params;
+
+      if (!isCollectionId(postId) || !isReactionType(type)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const postRef = firestore.collection("post").doc(postId);
+      const reactionRef = getReactionRef(postId, userId, type);
+
+      await firestore.runTransaction(async (transaction) => {
+         const postDoc = await transaction.get(postRef);
+
+         if (!postDoc.exists) {
+            throw Error(`Post with ID ${postId} not found.`);
+         }
+
+         const reactionDoc = await transaction.get(reactionRef);
+
+         if (reactionDoc.exists) {
+            throw Error(`The user has already given the "${type}" reaction to this post.`);
+         }
+
+         transaction.set(reactionRef, {
+            postId,
+            userId,
+            type,
+            timestamp: Math.floor(new Date() / 1000)
+         });
+         transaction.update(postRef, {
+            [`reactionCounts.${type}`]: FieldValue.increment(1),
+            ...getTrendingUpdate(postDoc.data(), "reaction")
+         });
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Removes a reaction of the authenticated user from a post.
+ * @param {Object} request - The incoming request object containing the post ID and reaction type.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const removePostReaction = async (request, response) => {
+   try {
+      const { postId, type } = request.params;
+
+      if (!isCollectionId(postId) || !isReactionType(type)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const postRef = firestore.collection("post").doc(postId);
+      const reactionRef = getReactionRef(postId, request.user.user_id, type);
+
+      await firestore.runTransaction(async (transaction) => {
+         const postDoc = await transaction.get(postRef);
+         const reactionDoc = await transaction.get(reactionRef);
+
+         if (!reactionDoc.exists) {
+            throw Error(`The user has not given the "${type}" reaction to this post.`);
+         }
+
+         transaction.delete(reactionRef);
+
+         if (postDoc.exists) {
+            transaction.update(postRef, { [`reactionCounts.${type}`]: FieldValue.increment(-1) });
+         }
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Lists the users who reacted to a post, newest first, optionally for a single reaction type.
+ * @param {Object} request - The incoming request object containing the post ID and optional "type" query parameter.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getPostReactions = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const type = request.query.type;
+
+      if (type !== undefined && !isReactionType(type)) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let reactionQuery = firestore.collection("post-reaction").where("postId", "==", postId);
+
+      if (type) {
+         reactionQuery = reactionQuery.where("type", "==", type);
+      }
+
+      const querySnapshot = await reactionQuery.get();
+      const reactions = querySnapshot.docs
+         .map(doc => doc.data())
+         .sort((a, b) => b.timestamp - a.timestamp);
+
+      const profiles = await getUserProfiles(reactions.map(reaction => reaction.userId));
+
+      response.status(200).json(reactions.map(({ userId, type, timestamp }) => ({
+         userId,
+         type,
+         timestamp,
+         user: profiles.get(userId)
+      })));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   reactionTypes,
+   getEmptyReactionCounts,
+   withUserReactions,
+   addPostReaction,
+   removePostReaction,
+   getPostReactions
+};
\ No newline at end of file
@@ -1,19 +1,27 @@
 // Import the Express framework and create a router
 const express = require("express");
 const router = express.Router();
-const { verifyAuthToken } = require("../user-management/user-auth-controller");
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
 
 // Import business-related controller functions
 const {
    addNewPost,
    updatePost,
+   updatePostStatus,
+   assignMissingPostStatuses,
    deletePostAndFiles,
    getAllPosts,
+   getPostBySlug,
    getPostsByTag,
    getFeatPosts,
    getPostFeatImage,
    deletePostFeatImage,
-   uploadPostFeatImage
+   uploadPostFeatImage,
+   uploadPostContentImage,
+   uploadNewPostContentImage
 } = require("./post-controller");
 
 // Import business tag-related controller functions
@@ -22,19 +30,59 @@ const {
    deletePostTag,
    updatePostTag,
    getPostTag,
-   getAllPostTags
+   getAllPostTags,
+   mergePostTags
 } = require("./post-tag-controller");
 
+// Import version history controller functions
+const {
+   getPostVersions,
+   getPostVersionDiff,
+   restorePostVersion
+} = require("./post-version-controller");
+
+// Import comment controller functions
+const {
+   addNewComment,
+   updateComment,
+   deleteComment,
+   getPostComments
+} = require("./post-comment-controller");
+
+// Import reaction controller functions
+const {
+   addPostReaction,
+   removePostReaction,
+   getPostReactions
+} = require("./post-reaction-controller");
+
+// Import feed controller functions
+const {
+   getPostFeed,
+   getMyFeed
+} = require("./post-feed-controller");
+
+// Import trending controller functions
+const {
+   recordPostView,
+   getTrendingPosts
+} = require("./post-trending-controller");
+
 // Post related routes
-router.post("/add-new-post", addNewPost);
-router.put("/update-post/:postId", updatePost);
+router.post("/add-new-post", verifyAuthToken, addNewPost);
+router.put("/update-post/:postId", verifyAuthToken, updatePost);
+router.put("/update-post-status/:postId", verifyAuthToken, updatePostStatus);
+router.put("/assign-missing-post-statuses", verifyAuthToken, verifyAdminUser, assignMissingPostStatuses);
 router.delete("/delete-post-and-files/:postId", deletePostAndFiles);
 router.get("/get-all-posts", verifyAuthToken, getAllPosts);
+router.get("/get-post-by-slug/:slug", verifyAuthToken, getPostBySlug);
 router.get("/get-posts-by-tag", verifyAuthToken, getPostsByTag);
 router.get("/get-feat-posts", verifyAuthToken, getFeatPosts);
 router.get("/get-post-feat-image/:postId", getPostFeatImage);
 router.delete("/delete-post-feat-image/:postId", deletePostFeatImage);
 router.post("/upload-post-feat-image/:postId", uploadPostFeatImage);
+router.post("/upload-post-content-image/:postId", verifyAuthToken, uploadPostContentImage);
+router.post("/upload-new-post-content-image", verifyAuthToken, uploadNewPostContentImage);
 
 // Post Tag related routes
 router.post("/add-new-post-tag", addNewPostTag);
@@ -42,5 +90,31 @@ router.put("/update-post-tag/:tagId", updatePostTag);
 router.delete("/delete-post-tag/:tagId", deletePostTag);
 router.get("/get-post-tag/:tagId", getPostTag);
 router.get("/get-all-post-tags", verifyAuthToken, getAllPostTags);
+router.put("/merge-post-tags", verifyAuthToken, verifyAdminUser, mergePostTags);
+
+// Version history related routes
+router.get("/get-post-versions/:postId", verifyAuthToken, getPostVersions);
+router.get("/get-post-version-diff/:postId", verifyAuthToken, getPostVersionDiff);
+router.put("/restore-post-version/:postId/:version", verifyAuthToken, restorePostVersion);
+
+// Comment related routes
+router.post("/add-new-comment/:postId", verifyAuthToken, addNewComment);
+router.put("/update-comment/:commentId", verifyAuthToken, updateComment);
+router.delete("/delete-comment/:commentId", verifyAuthToken, deleteComment);
+router.get("/get-post-comments/:postId", verifyAuthToken, getPostComments);
+
+// Reaction related routes
+router.put("/add-post-reaction/:postId/:type", verifyAuthToken, addPostReaction);
+router.delete("/remove-post-reaction/:postId/:type", verifyAuthToken, removePostReaction);
+router.get("/get-post-reactions/:postId", verifyAuthToken, getPostReactions);
+
+// Feed related routes
+router.get("/post-feed/:format", getPostFeed);
+router.get("/post-feed/:format/:tagSlug", getPostFeed);
+router.get("/get-my-feed", verifyAuthToken, getMyFeed);
+
+// Trending related routes
+router.put("/record-post-view/:postId", verifyAuthToken, recordPostView);
+router.get("/get-trending-posts", verifyAuthToken, getTrendingPosts);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,24 @@
 // Import necessary modules and dependencies
 const firebase = require("../firebase-database");
 const firestore = firebase.firestore();
+const joi = require('joi');
 const {
    isCollectionId,
    isTag
 } = require("../common-utils/validation-utils");
+const {
+   toTagFields,
+   assertUniqueSlug,
+   assertValidParent,
+   buildTagTree,
+   reindexTaggedDocuments,
+   deleteTag,
+   mergeTags
+} = require("../common-utils/tag-utils");
+const {
+   removeFollowers,
+   moveFollowers
+} = require("../user-management/follow-controller");
 
 /**
  * Adds a new post tag to the Firestore database.
@@ -19,7 +33,11 @@ const addNewPostTag = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
-      const tag = await firestore.collection("post-tag").add(newTag);
+      const tagFields = toTagFields(newTag);
+      await assertUniqueSlug("post-tag", tagFields.slug);
+      await assertValidParent("post-tag", tagFields.parentId);
+
+      const tag = await firestore.collection("post-tag").add({ ...tagFields, usageCount: 0 });
 
       response.status(200).json({ tagId: tag.id });
    } catch (error) {
@@ -28,7 +46,8 @@ const addNewPostTag = async (request, response) => {
 };
 
 /**
- * Updates an existing post tag in the Firestore database.
+ * Updates an existing post tag in the Firestore database. When its name or synonyms change,
+ * the posts using the tag are reindexed so that search matches the new names.
  * @param {object} request - The HTTP request object containing the tag ID and the updated tag.
  * @param {object} response - The HTTP response object to be sent back to the client.
  */
@@ -46,8 +65,19 @@ const updatePostTag = async (request, response) => {
          throw Error("The request body provided is not valid or acceptable.");
       }
 
+      const tagFields = toTagFields(tagUpdate);
+      await assertUniqueSlug("post-tag", tagFields.slug, tagId);
+      await assertValidParent("post-tag", tagFields.parentId, tagId);
+
       const tagRef = firestore.collection("post-tag").doc(tagId);
-      await tagRef.update(tagUpdate);
+      const previousTag = (await tagRef.get()).data() || {};
+      await tagRef.update(tagFields);
+
+      const toSynonymKey = (synonyms) => JSON.stringify([...(synonyms || [])].sort());
+
+      if (previousTag.name !== tagFields.name || toSynonymKey(previousTag.synonyms) !== toSynonymKey(tagFields.synonyms)) {
+         await reindexTaggedDocuments("post-tag", tagId);
+      }
 
       response.sendStatus(200);
    } catch (error) {
@@ -56,7 +86,9 @@ const updatePostTag = async (request, response) => {
 };
 
 /**
- * Deletes a post tag from the Firestore database.
+ * Deletes a post tag from the Firestore database, moving its children under its parent.
+ * A tag still used by posts is only deleted when the "cascade" query parameter is true,
+ * in which case it is removed from every post referencing it.
  * @param {object} request - The HTTP request object containing the tag ID in the URL parameter.
  * @param {object} response - The HTTP response object to be sent back to the client.
  */
@@ -68,9 +100,17 @@ const deletePostTag = async (request, response) => {
          throw Error("The request parameter provided is not valid or acceptable.");
       }
 
-      await firestore.collection("post-tag").doc(tagId).delete();
+      const cascade = request.query.cascade;
 
-      response.sendStatus(200);
+      if (joi.boolean().validate(cascade).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const documentsChanged = await deleteTag("post-tag", tagId, cascade === "true");
+
+      await removeFollowers("post-tag", tagId);
+
+      response.status(200).json({ documentsChanged });
    } catch (error) {
       response.status(400).json({ error: error.message });
    }
@@ -104,23 +144,14 @@ const getPostTag = async (request, response) => {
 };
 
 /**
- * Retrieves all post tags from the "post-tag" collection.
+ * Retrieves all post tags from the "post-tag" collection, arranged as a tree of categories.
  * @param {object} response - The HTTP response object to send the retrieved tags or error status.
  */
 const getAllPostTags = async (request, response) => {
    try {
       const tagsSnapshot = await firestore.collection("post-tag").get();
 
-      const tags = [];
-      tagsSnapshot.forEach((doc) => {
-         const tagData = doc.data();
-         tags.push({
-            tagId: doc.id,
-            tag: {
-               ...tagData
-            }
-         });
-      });
+      const tags = buildTagTree(tagsSnapshot.docs);
 
       response.status(200).json(tags);
    } catch (error) {
@@ -128,11 +159,38 @@ const getAllPostTags = async (request, response) => {
    }
 };
 
+/**
+ * Merges a post tag into another one: every post referencing the source tag is rewritten to
+ * reference the target tag, the source tag's name and synonyms become synonyms of the target
+ * tag, its children move under the target tag and the source tag is deleted. Every post of
+ * the target tag is then reindexed, so that searching the source tag's names finds it.
+ * @param {object} request - The HTTP request object containing the source and target tag IDs.
+ * @param {object} response - The HTTP response object to be sent back to the client.
+ */
+const mergePostTags = async (request, response) => {
+   try {
+      const { sourceTagId, targetTagId } = request.body;
+
+      if (!isCollectionId(sourceTagId) || !isCollectionId(targetTagId) || sourceTagId === targetTagId) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const documentsChanged = await mergeTags("post-tag", sourceTagId, targetTagId);
+
+      await moveFollowers("post-tag", sourceTagId, targetTagId);
+
+      response.status(200).json({ documentsChanged });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
 // Export controller functions
 module.exports = {
    addNewPostTag,
    deletePostTag,
    updatePostTag,
    getPostTag,
-   getAllPostTags
+   getAllPostTags,
+   mergePostTags
 };
\ No newline at end of file
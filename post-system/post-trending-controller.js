@@ -0,0 +1,142 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const {
+   getTrendingScore,
+   getTrendingUpdate
+} = require("../common-utils/trending-utils");
+const { getEffectiveStatus } = require("./post-controller");
+const { withUserReactions } = require("./post-reaction-controller");
+
+// Number of seconds during which repeated views of a post by the same user count once
+const viewPeriod = 24 * 60 * 60;
+
+// Number of seconds without engagement after which a post no longer trends, its score having
+// decayed to less than 1% of its value
+const trendingWindow = 7 * 24 * 60 * 60;
+
+// Maximum number of recently engaged posts ranked by their trending score. The candidates are
+// the most recently engaged posts rather than the highest scoring ones, so when more posts are
+// engaged within the trending window, an older post with a higher score may be left out
+const maxTrendingCandidates = 500;
+
+/**
+ * Validates the parameters of a trending posts request.
+ * @param {Object} trendingParams - The object containing the "tagId" and "limit" query parameters.
+ * @returns {boolean} Returns true if the parameters are valid.
+ */
+const isTrendingQuery = (trendingParams) => {
+   const schema = joi.object({
+      tagId: joi.string().alphanum().length(20),
+      limit: joi.number().integer().min(1).max(50)
+   });
+
+   return !schema.validate(trendingParams).error;
+};
+
+/**
+ * Records a view of a post by the authenticated user. Views are counted once per user and
+ * period, and raise the trending score of the post.
+ * @param {Object} request - The incoming request object containing the post ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const recordPostView = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const period = Math.floor(new Date() / 1000 / viewPeriod);
+      const postRef = firestore.collection("post").doc(postId);
+      const viewRef = firestore.collection("post-view").doc(`${postId}_${userId}_${period}`);
+
+      const isCounted = await firestore.runTransaction(async (transaction) => {
+         const postDoc = await transaction.get(postRef);
+
+         if (!postDoc.exists || getEffectiveStatus(postDoc.data()) !== "published") {
+            throw Error(`Post with ID ${postId} not found.`);
+         }
+
+         const viewDoc = await transaction.get(viewRef);
+
+         if (viewDoc.exists) {
+            return false;
+         }
+
+         transaction.set(viewRef, {
+            postId,
+            userId,
+            period,
+            timestamp: Math.floor(new Date() / 1000)
+         });
+         transaction.update(postRef, {
+            viewCount: FieldValue.increment(1),
+            ...getTrendingUpdate(postDoc.data(), "view")
+         });
+
+         return true;
+      });
+
+      response.status(200).json({ isCounted });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the published posts with the highest trending score, overall or for a post tag.
+ * The score combines views, reactions and comments, each weighted and decayed over time.
+ * Only the most recently engaged posts are ranked (see "maxTrendingCandidates"), and the query
+ * for a tag uses the composite index on "tags" and "trendingTime" declared in firestore.indexes.json.
+ * @param {Object} request - The incoming request object containing the optional "tagId" and "limit" query parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getTrendingPosts = async (request, response) => {
+   try {
+      const { tagId, limit = 20 } = request.query;
+
+      if (!isTrendingQuery({ tagId, limit })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const now = Math.floor(new Date() / 1000);
+      let postQuery = firestore.collection("post");
+
+      if (tagId) {
+         postQuery = postQuery.where("tags", "array-contains", tagId);
+      }
+
+      const querySnapshot = await postQuery
+         .where("trendingTime", ">=", now - trendingWindow)
+         .orderBy("trendingTime", "desc")
+         .limit(maxTrendingCandidates)
+         .get();
+
+      const trendingPosts = querySnapshot.docs
+         .filter(doc => getEffectiveStatus(doc.data()) === "published")
+         .map(doc => ({
+            postId: doc.id,
+            trendingScore: Math.round(getTrendingScore(doc.data(), now) * 100) / 100,
+            post: { ...doc.data(), status: "published" }
+         }))
+         .filter(item => item.trendingScore > 0)
+         .sort((a, b) => b.trendingScore - a.trendingScore)
+         .slice(0, Number(limit));
+
+      response.status(200).json(await withUserReactions(trendingPosts, request.user.user_id));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   recordPostView,
+   getTrendingPosts
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const {
+   isCollectionId,
+   isVersionNumber
+} = require("../common-utils/validation-utils");
+const {
+   getFieldDiff,
+   getVersions,
+   getVersion
+} = require("../common-utils/version-utils");
+const { isUserAdmin } = require("../user-management/user-auth-controller");
+const {
+   isPost,
+   savePostUpdate
+} = require("./post-controller");
+
+/**
+ * Fetches a post whose version history the user asks for. The history holds the content of drafts,
+ * scheduled and hidden posts, so only the author of the post or an administrator may access it.
+ * @param {string} postId - The ID of the post.
+ * @param {string} userId - The ID of the authenticated user.
+ * @returns {Promise<Object>} The post document.
+ * @throws {Error} If the post does not exist or the user may not access its history.
+ */
+const getPostForHistory = async (postId, userId) => {
+   const postDoc = await firestore.collection("post").doc(postId).get();
+
+   if (!postDoc.exists) {
+      throw Error(`Post with ID ${postId} not found.`);
+   }
+
+   if (postDoc.data().authorId !== userId && !await isUserAdmin(userId)) {
+      throw Error("Access to resources is denied for the user.");
+   }
+
+   return postDoc;
+};
+
+/**
+ * Retrieves the version history of a post, newest first. Only the author of the post or an
+ * administrator may read it.
+ * @param {Object} request - The incoming request object containing the post ID.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getPostVersions = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      await getPostForHistory(postId, request.user.user_id);
+
+      response.status(200).json(await getVersions("post", postId));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Lists the fields that changed between two versions of a post.
+ * @param {Object} request - The incoming request object containing the post ID and the
+ * "from" and "to" version numbers as query parameters.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getPostVersionDiff = async (request, response) => {
+   try {
+      const postId = request.params.postId;
+
+      if (!isCollectionId(postId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const { from, to } = request.query;
+
+      if (!isVersionNumber(from) || !isVersionNumber(to)) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      await getPostForHistory(postId, request.user.user_id);
+
+      const fromVersion = await getVersion("post", postId, Number(from));
+      const toVersion = await getVersion("post", postId, Number(to));
+
+      response.status(200).json({
+         from: Number(from),
+         to: Number(to),
+         changes: getFieldDiff(fromVersion.fields, toVersion.fields)
+      });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Restores a previous version of a post. The restored fields are saved as a new version,
+ * so that the restore itself can be undone. Only the post author or an admin may restore, and
+ * the current author is kept.
+ * @param {Object} request - The incoming request object containing the post ID and version number.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const restorePostVersion = async (request, response) => {
+   try {
+      const { postId, version } = request.params;
+
+      if (!isCollectionId(postId) || !isVersionNumber(version)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const postDoc = await getPostForHistory(postId, userId);
+
+      const storedVersion = await getVersion("post", postId, Number(version));
+      const fields = { ...storedVersion.fields, authorId: postDoc.data().authorId };
+
+      if (!isPost(fields)) {
+         throw Error(`Version ${version} no longer matches the post format and cannot be restored.`);
+      }
+
+      await savePostUpdate(postId, fields, userId, Number(version));
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getPostVersions,
+   getPostVersionDiff,
+   restorePostVersion
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const {
+   indexBusiness,
+   indexPost,
+   searchIndex
+} = require("../common-utils/search-utils");
+
+/**
+ * Validates whether an object is suitable for full-text search criteria.
+ * @param {Object} searchParams - The object representing the search criteria.
+ * @returns {boolean} Returns true if the provided object is valid for full-text search criteria.
+ */
+const isSearchQuery = (searchParams) => {
+   const schema = joi.object({
+      q: joi.string().min(1).max(200).required(),
+      type: joi.string().valid("business", "post").required(),
+      page: joi.number().integer().min(1),
+      pageSize: joi.number().integer().min(1).max(50)
+   });
+
+   return !schema.validate(searchParams).error;
+};
+
+/**
+ * Searches businesses or posts by relevance, tolerating accents, case and typos.
+ * @param {Object} request - The incoming request object containing the search query.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const search = async (request, response) => {
+   try {
+      const { q, type, page = 1, pageSize = 20 } = request.query;
+
+      if (!isSearchQuery({ q, type, page, pageSize })) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      const matches = await searchIndex(type, q);
+      const start = (Number(page) - 1) * Number(pageSize);
+      const pageMatches = matches.slice(start, start + Number(pageSize));
+
+      const docs = await Promise.all(pageMatches.map(match => {
+         return firestore.collection(type).doc(match.id).get();
+      }));
+
+      const results = docs
+         .map((doc, index) => doc.exists && !doc.data().isHidden && {
+            [`${type}Id`]: doc.id,
+            score: pageMatches[index].score,
+            [type]: doc.data()
+         })
+         .filter(result => result);
+
+      response.status(200).json({
+         total: matches.length,
+         page: Number(page),
+         pageSize: Number(pageSize),
+         results
+      });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Rebuilds the search index entries of every business and post.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const rebuildSearchIndex = async (request, response) => {
+   try {
+      const businessSnapshot = await firestore.collection("business").get();
+      for (const doc of businessSnapshot.docs) {
+         await indexBusiness(doc.id, doc.data());
+      }
+
+      const postSnapshot = await firestore.collection("post").get();
+      for (const doc of postSnapshot.docs) {
+         await indexPost(doc.id, doc.data());
+      }
+
+      response.status(200).json({
+         businesses: businessSnapshot.size,
+         posts: postSnapshot.size
+      });
+   } catch (error) {
+      response.status(500).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   search,
+   rebuildSearchIndex
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Import the Express framework and create a router
+const express = require("express");
+const router = express.Router();
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
+
+// Import search-related controller functions
+const {
+   search,
+   rebuildSearchIndex
+} = require("./search-controller");
+
+// Search related routes
+router.get("/search", verifyAuthToken, search);
+router.post("/rebuild-search-index", verifyAuthToken, verifyAdminUser, rebuildSearchIndex);
+
+// Export the router with defined routes
+module.exports = router;
\ No newline at end of file
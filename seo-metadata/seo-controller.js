@@ -0,0 +1,203 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const { isSlug } = require("../common-utils/validation-utils");
+const { buildSitemap } = require("../common-utils/feed-utils");
+const {
+   assignSlug,
+   findBySlug
+} = require("../common-utils/slug-utils");
+const {
+   getEffectiveStatus,
+   getPublishedTime
+} = require("../post-system/post-controller");
+
+// Maximum length of a link preview description, in characters
+const descriptionLength = 200;
+
+// Maximum number of URLs in a sitemap
+const maxSitemapURLs = 50000;
+
+// Number of seconds crawlers may cache the sitemap
+const sitemapMaxAge = 3600;
+
+// Site path of the pages of each type of document
+const sitePaths = {
+   post: 'posts',
+   business: 'businesses'
+};
+
+/**
+ * Returns the URL of the site page of a document, preferring its slug over its ID.
+ * @param {string} targetType - The type of the document ("business" or "post").
+ * @param {string} targetId - The ID of the document.
+ * @param {Object} target - The document data.
+ * @returns {string} The page URL.
+ */
+const getPageURL = (targetType, targetId, target) => {
+   const siteURL = process.env.SITE_URL || process.env.HOST_URL;
+   return `${siteURL}/${sitePaths[targetType]}/${target.slug || targetId}`;
+};
+
+/**
+ * Shortens a text to a link preview description, cut at a word boundary.
+ * @param {string|null} text - The text to shorten.
+ * @returns {string} The description.
+ */
+const getDescription = (text) => {
+   const description = String(text || '').replace(/\s+/g, ' ').trim();
+
+   if (description.length <= descriptionLength) {
+      return description;
+   }
+
+   const cut = description.slice(0, descriptionLength + 1);
+   return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : descriptionLength)}…`;
+};
+
+/**
+ * Builds the Open Graph and Twitter card meta tags of a document page.
+ * @param {Object} page - The page, with "type", "url", "title", "description" and optional "imageURL".
+ * @param {Object} [extraTags] - Additional tags of the page type, e.g. the article times.
+ * @returns {Object} The meta tag contents, keyed by property name.
+ */
+const getMetaTags = (page, extraTags = {}) => {
+   const metaTags = {
+      'og:type': page.type,
+      'og:site_name': process.env.SITE_NAME,
+      'og:url': page.url,
+      'og:title': page.title,
+      'og:description': page.description,
+      'og:image': page.imageURL,
+      'twitter:card': page.imageURL ? 'summary_large_image' : 'summary',
+      'twitter:title': page.title,
+      'twitter:description': page.description,
+      'twitter:image': page.imageURL,
+      ...extraTags
+   };
+
+   return Object.fromEntries(Object.entries(metaTags).filter(([property, content]) => content));
+};
+
+/**
+ * Retrieves the Open Graph and Twitter card metadata used to preview a link to a published
+ * post or a business. Former slugs are accepted, and the metadata points to the current URL.
+ * @param {Object} request - The incoming request object containing the target type and slug.
+ * @param {Object} response - The response object used to send the result back to the client.
+ */
+const getLinkPreview = async (request, response) => {
+   try {
+      const { targetType, slug } = request.params;
+
+      if (joi.string().valid("post", "business").validate(targetType).error || !isSlug(slug)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const targetDoc = await findBySlug(targetType, slug);
+
+      const isListed = targetDoc && (targetType === "post"
+         ? getEffectiveStatus(targetDoc.data()) === "published"
+         : !targetDoc.data().isHidden);
+
+      if (!isListed) {
+         throw Error(`The ${targetType} with slug ${slug} not found.`);
+      }
+
+      const target = targetDoc.data();
+      const canonicalURL = getPageURL(targetType, targetDoc.id, target);
+
+      const metaTags = targetType === "post"
+         ? getMetaTags({
+            type: 'article',
+            url: canonicalURL,
+            title: target.title,
+            description: target.excerpt || '',
+            imageURL: target.featuredImageURL
+         }, {
+            'article:published_time': new Date(getPublishedTime(target) * 1000).toISOString(),
+            'article:modified_time': target.updatedTime ? new Date(target.updatedTime * 1000).toISOString() : null
+         })
+         : getMetaTags({
+            type: 'business.business',
+            url: canonicalURL,
+            title: target.name,
+            description: getDescription(target.description),
+            imageURL: target.featuredImageURL
+         }, {
+            'business:contact_data:locality': target.city,
+            'business:contact_data:street_address': target.address,
+            'business:contact_data:phone_number': target.phoneNumber,
+            'business:contact_data:website': target.website
+         });
+
+      response.status(200).json({ canonicalURL, metaTags });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Serves the sitemap of the site, listing the pages of the published posts, newest first,
+ * followed by the pages of the businesses that are not hidden.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the sitemap back to the client.
+ */
+const getSitemap = async (request, response) => {
+   try {
+      const postSnapshot = await firestore.collection("post").get();
+      const businessSnapshot = await firestore.collection("business").get();
+
+      const postURLs = postSnapshot.docs
+         .filter(doc => getEffectiveStatus(doc.data()) === "published")
+         .sort((a, b) => getPublishedTime(b.data()) - getPublishedTime(a.data()))
+         .map(doc => ({
+            link: getPageURL("post", doc.id, doc.data()),
+            updated: new Date(Math.max(getPublishedTime(doc.data()), doc.data().updatedTime || 0) * 1000)
+         }));
+
+      const businessURLs = businessSnapshot.docs
+         .filter(doc => !doc.data().isHidden)
+         .map(doc => ({ link: getPageURL("business", doc.id, doc.data()) }));
+
+      response.set({
+         'Content-Type': 'application/xml; charset=utf-8',
+         'Cache-Control': `public, max-age=${sitemapMaxAge}`
+      });
+
+      response.status(200).send(buildSitemap([...postURLs, ...businessURLs].slice(0, maxSitemapURLs)));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Gives a slug to the posts and businesses created before slugs existed.
+ * @param {Object} request - The incoming request object.
+ * @param {Object} response - The response object used to send the number of updated documents back to the client.
+ */
+const assignMissingSlugs = async (request, response) => {
+   try {
+      const assigned = { post: 0, business: 0 };
+
+      for (const targetType of Object.keys(assigned)) {
+         const querySnapshot = await firestore.collection(targetType).get();
+
+         for (const doc of querySnapshot.docs.filter(doc => !doc.data().slug)) {
+            await assignSlug(targetType, doc.id, targetType === "post" ? doc.data().title : doc.data().name);
+            assigned[targetType]++;
+         }
+      }
+
+      response.status(200).json(assigned);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getLinkPreview,
+   getSitemap,
+   assignMissingSlugs
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+// Import the Express framework and create a router
+const express = require("express");
+const router = express.Router();
+const {
+   verifyAuthToken,
+   verifyAdminUser
+} = require("../user-management/user-auth-controller");
+
+// Import SEO controller functions
+const {
+   getLinkPreview,
+   getSitemap,
+   assignMissingSlugs
+} = require("./seo-controller");
+
+// SEO related routes
+router.get("/get-link-preview/:targetType/:slug", getLinkPreview);
+router.get("/sitemap.xml", getSitemap);
+router.put("/assign-missing-slugs", verifyAuthToken, verifyAdminUser, assignMissingSlugs);
+
+// Export the router with defined routes
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,493 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const { FieldValue } = require("firebase").firestore;
+const joi = require('joi');
+const { isCollectionId } = require("../common-utils/validation-utils");
+const {
+   batchSize,
+   deleteQueryDocuments
+} = require("../common-utils/firestore-utils");
+
+// Maximum number of saved lists per user
+const maxSavedLists = 50;
+
+// Maximum number of items in a saved list
+const maxSavedListItems = 500;
+
+/**
+ * Verifies whether an object is a valid favourite target (a business or a post).
+ * @param {Object} target - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid target.
+ */
+const isFavouriteTarget = (target) => {
+   const schema = joi.object({
+      targetType: joi.string().valid("business", "post").required(),
+      targetId: joi.string().alphanum().length(20).required()
+   });
+
+   return !schema.validate(target).error;
+};
+
+/**
+ * Verifies whether an object is a valid saved list.
+ * @param {Object} savedList - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid saved list.
+ */
+const isSavedList = (savedList) => {
+   const schema = joi.object({
+      name: joi.string().trim().min(1).max(100).required()
+   });
+
+   return !schema.validate(savedList).error;
+};
+
+/**
+ * Builds the key identifying a business or post within favourites and saved lists.
+ * @param {string} targetType - The type of the target ("business" or "post").
+ * @param {string} targetId - The ID of the target.
+ * @returns {string} The target key.
+ */
+const getTargetKey = (targetType, targetId) => `${targetType}_${targetId}`;
+
+/**
+ * Splits a target key back into its type and ID.
+ * @param {string} key - The target key.
+ * @returns {Object} The target type and ID.
+ */
+const parseTargetKey = (key) => {
+   const [targetType, targetId] = key.split('_');
+   return { targetType, targetId };
+};
+
+/**
+ * Retrieves a saved list and ensures that it belongs to the given user.
+ * @param {string} listId - The ID of the saved list.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The saved list document snapshot.
+ * @throws {Error} If the list does not exist or belongs to another user.
+ */
+const getOwnSavedList = async (listId, userId) => {
+   const listDoc = await firestore.collection("saved-list").doc(listId).get();
+
+   if (!listDoc.exists) {
+      throw Error(`Saved list with ID ${listId} not found.`);
+   }
+
+   if (listDoc.data().userId !== userId) {
+      throw Error("Access to resources is denied for the user.");
+   }
+
+   return listDoc;
+};
+
+/**
+ * Removes a deleted business or post from every favourite and saved list.
+ * @param {string} targetType - The type of the deleted target ("business" or "post").
+ * @param {string} targetId - The ID of the deleted target.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs during the cleanup.
+ */
+const removeTargetFromFavourites = async (targetType, targetId) => {
+   try {
+      const key = getTargetKey(targetType, targetId);
+
+      await deleteQueryDocuments(
+         firestore,
+         firestore.collection("favourite").where("targetKey", "==", key)
+      );
+
+      const listSnapshot = await firestore
+         .collection("saved-list")
+         .where("items", "array-contains", key)
+         .get();
+
+      for (let index = 0; index < listSnapshot.docs.length; index += batchSize) {
+         const batch = firestore.batch();
+         listSnapshot.docs.slice(index, index + batchSize).forEach((doc) => {
+            batch.update(doc.ref, { items: FieldValue.arrayRemove(key) });
+         });
+         await batch.commit();
+      }
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Moves the favourites and saved list items of a business or post to another one of the same
+ * type, e.g. when two duplicate listings are merged. Users who already favourited both keep
+ * a single favourite, and the favourite count of the destination is recomputed.
+ * @param {string} targetType - The type of both targets ("business" or "post").
+ * @param {string} fromId - The ID of the target whose favourites are moved.
+ * @param {string} toId - The ID of the target receiving the favourites.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while moving the favourites.
+ */
+const moveFavourites = async (targetType, fromId, toId) => {
+   try {
+      const fromKey = getTargetKey(targetType, fromId);
+      const toKey = getTargetKey(targetType, toId);
+
+      const favouriteSnapshot = await firestore
+         .collection("favourite")
+         .where("targetKey", "==", fromKey)
+         .get();
+
+      for (let index = 0; index < favouriteSnapshot.docs.length; index += batchSize / 2) {
+         const batch = firestore.batch();
+
+         favouriteSnapshot.docs.slice(index, index + batchSize / 2).forEach((doc) => {
+            const favourite = doc.data();
+
+            batch.set(firestore.collection("favourite").doc(`${favourite.userId}_${toKey}`), {
+               ...favourite,
+               targetId: toId,
+               targetKey: toKey
+            });
+            batch.delete(doc.ref);
+         });
+
+         await batch.commit();
+      }
+
+      const listSnapshot = await firestore
+         .collection("saved-list")
+         .where("items", "array-contains", fromKey)
+         .get();
+
+      for (let index = 0; index < listSnapshot.docs.length; index += batchSize) {
+         const batch = firestore.batch();
+
+         listSnapshot.docs.slice(index, index + batchSize).forEach((doc) => {
+            const items = doc.data().items.map(key => key === fromKey ? toKey : key);
+            batch.update(doc.ref, { items: [...new Set(items)] });
+         });
+
+         await batch.commit();
+      }
+
+      const countSnapshot = await firestore
+         .collection("favourite")
+         .where("targetKey", "==", toKey)
+         .get();
+
+      await firestore.collection(targetType).doc(toId).update({ favouriteCount: countSnapshot.size });
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Adds a business or post to the authenticated user's favourites.
+ * @param {Object} request - The HTTP request object containing the target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const addFavourite = async (request, response) => {
+   try {
+      const target = request.body;
+
+      if (!isFavouriteTarget(target)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { targetType, targetId } = target;
+      const userId = request.user.user_id;
+      const targetKey = getTargetKey(targetType, targetId);
+      const targetRef = firestore.collection(targetType).doc(targetId);
+      const favouriteRef = firestore.collection("favourite").doc(`${userId}_${targetKey}`);
+
+      await firestore.runTransaction(async (transaction) => {
+         const targetDoc = await transaction.get(targetRef);
+
+         if (!targetDoc.exists) {
+            throw Error(`The ${targetType} with ID ${targetId} not found.`);
+         }
+
+         const favouriteDoc = await transaction.get(favouriteRef);
+
+         if (favouriteDoc.exists) {
+            throw Error(`The ${targetType} is already a favourite of the user.`);
+         }
+
+         transaction.set(favouriteRef, {
+            userId,
+            targetType,
+            targetId,
+            targetKey,
+            timestamp: Math.floor(new Date() / 1000)
+         });
+         transaction.update(targetRef, { favouriteCount: FieldValue.increment(1) });
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Removes a business or post from the authenticated user's favourites.
+ * @param {Object} request - The HTTP request object containing the target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const removeFavourite = async (request, response) => {
+   try {
+      const { targetType, targetId } = request.params;
+
+      if (!isFavouriteTarget({ targetType, targetId })) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const targetRef = firestore.collection(targetType).doc(targetId);
+      const favouriteRef = firestore
+         .collection("favourite")
+         .doc(`${userId}_${getTargetKey(targetType, targetId)}`);
+
+      await firestore.runTransaction(async (transaction) => {
+         const targetDoc = await transaction.get(targetRef);
+         const favouriteDoc = await transaction.get(favouriteRef);
+
+         if (!favouriteDoc.exists) {
+            throw Error(`The ${targetType} is not a favourite of the user.`);
+         }
+
+         transaction.delete(favouriteRef);
+
+         if (targetDoc.exists) {
+            transaction.update(targetRef, { favouriteCount: FieldValue.increment(-1) });
+         }
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the authenticated user's favourites, newest first, optionally filtered by type.
+ * @param {Object} request - The HTTP request object containing the optional "targetType" query parameter.
+ * @param {Object} response - The HTTP response object.
+ */
+const getFavourites = async (request, response) => {
+   try {
+      const targetType = request.query.targetType;
+
+      if (joi.string().valid("business", "post").validate(targetType).error) {
+         throw Error("The query parameters provided are not valid or acceptable.");
+      }
+
+      let favouriteQuery = firestore
+         .collection("favourite")
+         .where("userId", "==", request.user.user_id);
+
+      if (targetType) {
+         favouriteQuery = favouriteQuery.where("targetType", "==", targetType);
+      }
+
+      const querySnapshot = await favouriteQuery.get();
+
+      const favourites = querySnapshot.docs
+         .map(doc => doc.data())
+         .sort((a, b) => b.timestamp - a.timestamp)
+         .map(({ targetType, targetId, timestamp }) => ({ targetType, targetId, timestamp }));
+
+      response.status(200).json(favourites);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Creates a named saved list for the authenticated user.
+ * @param {Object} request - The HTTP request object containing the list name.
+ * @param {Object} response - The HTTP response object.
+ */
+const addNewSavedList = async (request, response) => {
+   try {
+      const newList = request.body;
+
+      if (!isSavedList(newList)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const userId = request.user.user_id;
+      const listsSnapshot = await firestore.collection("saved-list").where("userId", "==", userId).get();
+
+      if (listsSnapshot.size >= maxSavedLists) {
+         throw Error(`A user cannot have more than ${maxSavedLists} saved lists.`);
+      }
+
+      const listRef = await firestore.collection("saved-list").add({
+         userId,
+         name: newList.name.trim(),
+         items: [],
+         timestamp: Math.floor(new Date() / 1000)
+      });
+
+      response.status(200).json({ listId: listRef.id });
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Renames a saved list of the authenticated user.
+ * @param {Object} request - The HTTP request object containing the list ID and new name.
+ * @param {Object} response - The HTTP response object.
+ */
+const updateSavedList = async (request, response) => {
+   try {
+      const listId = request.params.listId;
+
+      if (!isCollectionId(listId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const listUpdate = request.body;
+
+      if (!isSavedList(listUpdate)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const listDoc = await getOwnSavedList(listId, request.user.user_id);
+      await listDoc.ref.update({ name: listUpdate.name.trim() });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Deletes a saved list of the authenticated user.
+ * @param {Object} request - The HTTP request object containing the list ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const deleteSavedList = async (request, response) => {
+   try {
+      const listId = request.params.listId;
+
+      if (!isCollectionId(listId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const listDoc = await getOwnSavedList(listId, request.user.user_id);
+      await listDoc.ref.delete();
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Adds a business or post to a saved list of the authenticated user.
+ * @param {Object} request - The HTTP request object containing the list ID, target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const addSavedListItem = async (request, response) => {
+   try {
+      const listId = request.params.listId;
+
+      if (!isCollectionId(listId)) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const target = request.body;
+
+      if (!isFavouriteTarget(target)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const listDoc = await getOwnSavedList(listId, request.user.user_id);
+
+      if (listDoc.data().items.length >= maxSavedListItems) {
+         throw Error(`A saved list cannot contain more than ${maxSavedListItems} items.`);
+      }
+
+      const targetDoc = await firestore.collection(target.targetType).doc(target.targetId).get();
+
+      if (!targetDoc.exists) {
+         throw Error(`The ${target.targetType} with ID ${target.targetId} not found.`);
+      }
+
+      await listDoc.ref.update({
+         items: FieldValue.arrayUnion(getTargetKey(target.targetType, target.targetId))
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Removes a business or post from a saved list of the authenticated user.
+ * @param {Object} request - The HTTP request object containing the list ID, target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const removeSavedListItem = async (request, response) => {
+   try {
+      const { listId, targetType, targetId } = request.params;
+
+      if (!isCollectionId(listId) || !isFavouriteTarget({ targetType, targetId })) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const listDoc = await getOwnSavedList(listId, request.user.user_id);
+
+      await listDoc.ref.update({
+         items: FieldValue.arrayRemove(getTargetKey(targetType, targetId))
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the saved lists of the authenticated user.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+const getSavedLists = async (request, response) => {
+   try {
+      const querySnapshot = await firestore
+         .collection("saved-list")
+         .where("userId", "==", request.user.user_id)
+         .get();
+
+      const savedLists = querySnapshot.docs
+         .map(doc => ({
+            listId: doc.id,
+            savedList: {
+               ...doc.data(),
+               items: doc.data().items.map(parseTargetKey)
+            }
+         }))
+         .sort((a, b) => a.savedList.timestamp - b.savedList.timestamp);
+
+      response.status(200).json(savedLists);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   removeTargetFromFavourites,
+   moveFavourites,
+   addFavourite,
+   removeFavourite,
+   getFavourites,
+   addNewSavedList,
+   updateSavedList,
+   deleteSavedList,
+   addSavedListItem,
+   removeSavedListItem,
+   getSavedLists
+};
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Import necessary modules and dependencies
+const firebase = require("../firebase-database");
+const firestore = firebase.firestore();
+const joi = require('joi');
+const {
+   batchSize,
+   deleteQueryDocuments
+} = require("../common-utils/firestore-utils");
+
+// Types of targets a user can follow, named after their collection
+const followTypes = ["post-tag", "business"];
+
+/**
+ * Verifies whether an object is a valid follow target (a post tag or a business).
+ * @param {Object} target - The object to be verified.
+ * @returns {boolean} Returns true if the provided object is a valid target.
+ */
+const isFollowTarget = (target) => {
+   const schema = joi.object({
+      targetType: joi.string().valid(...followTypes).required(),
+      targetId: joi.string().alphanum().length(20).required()
+   });
+
+   return !schema.validate(target).error;
+};
+
+/**
+ * Returns the reference of the follow of a target by a user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} targetType - The type of the target ("post-tag" or "business").
+ * @param {string} targetId - The ID of the target.
+ * @returns {Object} The follow document reference.
+ */
+const getFollowRef = (userId, targetType, targetId) => {
+   return firestore.collection("follow").doc(`${userId}_${targetType}_${targetId}`);
+};
+
+/**
+ * Retrieves the IDs of the targets followed by a user, grouped by type.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The followed target IDs, keyed by target type.
+ * @throws {Error} If an error occurs while querying the follows.
+ */
+const getFollowedIds = async (userId) => {
+   try {
+      const querySnapshot = await firestore.collection("follow").where("userId", "==", userId).get();
+      const followedIds = Object.fromEntries(followTypes.map(type => [type, []]));
+
+      querySnapshot.docs.forEach((doc) => {
+         followedIds[doc.data().targetType].push(doc.data().targetId);
+      });
+
+      return followedIds;
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Removes every follow of a deleted post tag or business.
+ * @param {string} targetType - The type of the deleted target ("post-tag" or "business").
+ * @param {string} targetId - The ID of the deleted target.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs during the cleanup.
+ */
+const removeFollowers = async (targetType, targetId) => {
+   await deleteQueryDocuments(
+      firestore,
+      firestore.collection("follow")
+         .where("targetType", "==", targetType)
+         .where("targetId", "==", targetId)
+   );
+};
+
+/**
+ * Moves the followers of a post tag or business to another one of the same type, e.g. when
+ * two tags or two duplicate listings are merged.
+ * @param {string} targetType - The type of both targets ("post-tag" or "business").
+ * @param {string} fromId - The ID of the target whose followers are moved.
+ * @param {string} toId - The ID of the target receiving the followers.
+ * @returns {Promise<void>}
+ * @throws {Error} If an error occurs while moving the followers.
+ */
+const moveFollowers = async (targetType, fromId, toId) => {
+   try {
+      const querySnapshot = await firestore
+         .collection("follow")
+         .where("targetType", "==", targetType)
+         .where("targetId", "==", fromId)
+         .get();
+
+      for (let index = 0; index < querySnapshot.docs.length; index += batchSize / 2) {
+         const batch = firestore.batch();
+
+         querySnapshot.docs.slice(index, index + batchSize / 2).forEach((doc) => {
+            const follow = doc.data();
+
+            batch.set(getFollowRef(follow.userId, targetType, toId), { ...follow, targetId: toId });
+            batch.delete(doc.ref);
+         });
+
+         await batch.commit();
+      }
+   } catch (error) {
+      throw Error(error.message);
+   }
+};
+
+/**
+ * Follows a post tag or business for the authenticated user.
+ * @param {Object} request - The HTTP request object containing the target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const follow = async (request, response) => {
+   try {
+      const target = request.body;
+
+      if (!isFollowTarget(target)) {
+         throw Error("The request body provided is not valid or acceptable.");
+      }
+
+      const { targetType, targetId } = target;
+      const userId = request.user.user_id;
+
+      if (!(await firestore.collection(targetType).doc(targetId).get()).exists) {
+         throw Error(`The ${targetType} with ID ${targetId} not found.`);
+      }
+
+      const followRef = getFollowRef(userId, targetType, targetId);
+
+      if ((await followRef.get()).exists) {
+         throw Error(`The user already follows this ${targetType}.`);
+      }
+
+      await followRef.set({
+         userId,
+         targetType,
+         targetId,
+         timestamp: Math.floor(new Date() / 1000)
+      });
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Stops following a post tag or business for the authenticated user.
+ * @param {Object} request - The HTTP request object containing the target type and ID.
+ * @param {Object} response - The HTTP response object.
+ */
+const unfollow = async (request, response) => {
+   try {
+      const { targetType, targetId } = request.params;
+
+      if (!isFollowTarget({ targetType, targetId })) {
+         throw Error("The request parameter provided is not valid or acceptable.");
+      }
+
+      const followRef = getFollowRef(request.user.user_id, targetType, targetId);
+
+      if (!(await followRef.get()).exists) {
+         throw Error(`The user does not follow this ${targetType}.`);
+      }
+
+      await followRef.delete();
+
+      response.sendStatus(200);
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+/**
+ * Retrieves the post tags and businesses followed by the authenticated user.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+const getFollows = async (request, response) => {
+   try {
+      response.status(200).json(await getFollowedIds(request.user.user_id));
+   } catch (error) {
+      response.status(400).json({ error: error.message });
+   }
+};
+
+// Export controller functions
+module.exports = {
+   getFollowedIds,
+   removeFollowers,
+   moveFollowers,
+   follow,
+   unfollow,
+   getFollows
+};
\ No newline at end of file
@@ -34,6 +34,28 @@ const isUserAdmin = async (userId) => {
    }
 }
 
+/**
+ * Checks if a user with the specified user ID has the business owner role.
+ * @param {string} userId - The user ID to check.
+ * @returns {Promise<boolean>} Promise that resolves to true if the user is a business owner.
+ * @throws {Error} If an error occurs during the process.
+ */
+const isUserBusinessOwner = async (userId) => {
+   try {
+      const userMetaRef = firebase.firestore().collection('user-meta').doc(userId);
+      const userMetaSnapshot = await userMetaRef.get();
+
+      if (userMetaSnapshot.exists) {
+         const userData = userMetaSnapshot.data();
+         return userData.role == "business-owner"
+      } else {
+         throw Error('User metadata could not be located.');
+      }
+   } catch (error) {
+      throw Error(error.message);
+   }
+}
+
 /**
  * Authenticates a user through email and password, and provides an ID token.
  * @param {Object} request - The incoming request object containing user login details.
@@ -105,7 +127,8 @@ const resetPassword = async (request, response) => {
 };
 
 /**
- * Middleware function to verify the authenticity of an authorization token.
+ * Middleware function to verify the authenticity of an authorization token. Tokens of disabled
+ * (suspended) users and revoked tokens are rejected as soon as the change is made.
  * @param {Object} request - The incoming request object.
  * @param {Object} response - The response object used to send the result back to the client.
  * @param {Function} next - The next middleware function to be executed.
@@ -115,7 +138,7 @@ const verifyAuthToken = async (request, response, next) => {
 
    if (idToken) {
       try {
-         request.user = await admin.auth().verifyIdToken(idToken);
+         request.user = await admin.auth().verifyIdToken(idToken, true);
          next();
       } catch (error) {
          response.status(403).json({ error: error.message });
@@ -164,6 +187,7 @@ const verifyAdminUser = async (request, response, next) => {
 module.exports = {
    isUserSignedIn,
    isUserAdmin,
+   isUserBusinessOwner,
    signIn,
    signOut,
    resetPassword,
@@ -32,13 +32,34 @@ const isUser = (user) => {
       country: joi.string().allow(null).required(),
       photoURL: joi.string().uri().allow(null).required(),
       role: joi.string().valid("administrator", "user", "business-owner"),
-      appointments: joi.object().required(),
    });
 
    console.log(schema.validate(user).error)
    return !schema.validate(user).error;
 };
 
+/**
+ * Resolves the public profile (display name and photo) of several users from "user-meta".
+ * @param {Array<string>} userIds - The IDs of the users.
+ * @returns {Promise<Map<string, Object>>} The profiles keyed by user ID; users who no longer
+ * exist get an empty profile.
+ */
+const getUserProfiles = async (userIds) => {
+   const uniqueIds = [...new Set(userIds)];
+   const userMetaDocs = await Promise.all(uniqueIds.map(userId => {
+      return firestore.collection("user-meta").doc(userId).get();
+   }));
+
+   return new Map(userMetaDocs.map((doc, index) => {
+      const { firstName, lastName, photoURL } = doc.exists ? doc.data() : {};
+
+      return [uniqueIds[index], {
+         displayName: [firstName, lastName].filter(name => name).join(' ') || null,
+         photoURL: photoURL || null
+      }];
+   }));
+};
+
 /**
  * Adds a new user to the system.
  * @param {Object} request - The HTTP request object.
@@ -78,8 +99,7 @@ const addNewUser = async (request, response) => {
          zipCode: newUser.zipCode,
          country: newUser.country,
          photoURL: newUser.photoURL,
-         role: newUser.role,
-         appointments: newUser.appointments
+         role: newUser.role
       });
 
       //await userCredential.user.sendEmailVerification();
@@ -98,7 +118,8 @@ const addNewUser = async (request, response) => {
 };
 
 /**
- * Updates user information in the system.
+ * Updates user information in the system. The profile fields are merged into "user-meta", so that
+ * the moderation state kept there (warnings and suspension) survives the update.
  * @param {Object} request - The HTTP request object containing the user ID and updated user data.
  * @param {Object} response - The HTTP response object to be sent after processing.
  */
@@ -137,9 +158,8 @@ const updateUser = async (request, response) => {
          zipCode: userUpdate.zipCode,
          country: userUpdate.country,
          photoURL: userUpdate.photoURL,
-         role: userUpdate.role,
-         appointments: userUpdate.appointments
-      });
+         role: userUpdate.role
+      }, { merge: true });
 
       response.sendStatus(200);
    } catch (error) {
@@ -276,6 +296,7 @@ const getAllUsers = async (request, response) => {
 
 // Export controller functions
 module.exports = {
+   getUserProfiles,
    addNewUser,
    updateUser,
    updateUserPassword,
@@ -23,6 +23,26 @@ const {
    verifyAdminUser
 } = require("./user-auth-controller");
 
+// Import favourite and saved list controller functions
+const {
+   addFavourite,
+   removeFavourite,
+   getFavourites,
+   addNewSavedList,
+   updateSavedList,
+   deleteSavedList,
+   addSavedListItem,
+   removeSavedListItem,
+   getSavedLists
+} = require("./favourite-controller");
+
+// Import follow controller functions
+const {
+   follow,
+   unfollow,
+   getFollows
+} = require("./follow-controller");
+
 // User management routes
 router.post("/add-new-user", addNewUser);
 router.put("/update-user/:userId", verifyAuthToken, updateUser);
@@ -38,6 +58,22 @@ router.get("/sign-out", signOut);
 router.get("/refresh-auth-token", refreshAuthToken);
 router.post("/reset-password", resetPassword);
 
+// Favourite and saved list routes
+router.post("/add-favourite", verifyAuthToken, addFavourite);
+router.delete("/remove-favourite/:targetType/:targetId", verifyAuthToken, removeFavourite);
+router.get("/get-favourites", verifyAuthToken, getFavourites);
+router.post("/add-new-saved-list", verifyAuthToken, addNewSavedList);
+router.put("/update-saved-list/:listId", verifyAuthToken, updateSavedList);
+router.delete("/delete-saved-list/:listId", verifyAuthToken, deleteSavedList);
+router.post("/add-saved-list-item/:listId", verifyAuthToken, addSavedListItem);
+router.delete("/remove-saved-list-item/:listId/:targetType/:targetId", verifyAuthToken, removeSavedListItem);
+router.get("/get-saved-lists", verifyAuthToken, getSavedLists);
+
+// Follow related routes
+router.post("/follow", verifyAuthToken, follow);
+router.delete("/unfollow/:targetType/:targetId", verifyAuthToken, unfollow);
+router.get("/get-follows", verifyAuthToken, getFollows);
+
 // router.get("/test/", verifyAuthToken, verifyAdminUser, (req, resp) => {
 //    console.log("Testing route: Okay, this works.");
 //    resp.sendStatus(200);